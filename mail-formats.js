@@ -0,0 +1,399 @@
+// Parsers for saved emails, used by the mail folder backend (see FILE MAILBOX in main.js):
+// MIME messages (.eml files and the messages of .mbox files) and Outlook .msg files.
+// Node built-ins only, so the parsers can be tested without Electron (npm test).
+
+// ---------- MIME (.eml and .mbox) ----------
+
+function decodeQuotedPrintable(text) {
+  const input = text.replace(/=\r?\n/g, '');
+  const bytes = [];
+  for (let i = 0; i < input.length; i++) {
+    if (input[i] === '=' && /^[0-9A-Fa-f]{2}$/.test(input.substr(i + 1, 2))) {
+      bytes.push(parseInt(input.substr(i + 1, 2), 16));
+      i += 2;
+    } else {
+      bytes.push(input.charCodeAt(i) & 0xff);
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+function decodeCharset(bytes, charset = 'utf-8') {
+  try {
+    return new TextDecoder(charset.trim().toLowerCase()).decode(bytes);
+  } catch (error) {
+    return bytes.toString('utf8');
+  }
+}
+
+// RFC 2047 encoded words (=?utf-8?B?...?= and =?utf-8?Q?...?=) in a header value
+function decodeMimeWords(value) {
+  return value
+    .replace(/(=\?[^?]+\?[BbQq]\?[^?]*\?=)\s+(?==\?)/g, '$1')
+    .replace(/=\?([^?]+)\?([BbQq])\?([^?]*)\?=/g, (match, charset, encoding, text) => decodeCharset(
+      encoding.toUpperCase() === 'B' ? Buffer.from(text, 'base64') : decodeQuotedPrintable(text.replace(/_/g, ' ')),
+      charset
+    ));
+}
+
+// Header value for a draft: line breaks removed, runs with non-ASCII text as RFC 2047 encoded
+// words. Address lists keep their <addresses> and separators as they are.
+function encodeMimeHeader(value) {
+  return String(value || '')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .replace(/[^,;<>]*[^\x20-\x7e][^,;<>]*/g, text => text.replace(/\S(?:.*\S)?/, words => (
+      `=?UTF-8?B?${Buffer.from(words, 'utf8').toString('base64')}?=`
+    )));
+}
+
+// Headers (lowercase names, first occurrence) and body of a MIME entity.
+// raw is a latin1 string - one character per byte - so bodies can be decoded by their charset.
+function splitMimeEntity(raw) {
+  const separator = /\r?\n\r?\n/.exec(raw);
+  const head = separator ? raw.slice(0, separator.index) : raw;
+  const headers = {};
+  for (const line of head.replace(/\r?\n[ \t]+/g, ' ').split(/\r?\n/)) {
+    const colon = line.indexOf(':');
+    const name = line.slice(0, colon).trim().toLowerCase();
+    if (colon > 0 && !(name in headers)) {
+      headers[name] = line.slice(colon + 1).trim();
+    }
+  }
+  return { headers, body: separator ? raw.slice(separator.index + separator[0].length) : '' };
+}
+
+function getHeaderParam(value, param) {
+  const match = new RegExp(`${param}\\s*=\\s*(?:"([^"]*)"|([^;\\s]+))`, 'i').exec(value || '');
+  return match ? (match[1] ?? match[2]) : '';
+}
+
+function getMimeType(entity) {
+  return (entity.headers['content-type'] || 'text/plain').split(';')[0].trim().toLowerCase();
+}
+
+// Child entities of a multipart entity
+function getMimeParts(entity) {
+  const boundary = getHeaderParam(entity.headers['content-type'], 'boundary');
+  const parts = [];
+  for (const part of boundary ? entity.body.split(`--${boundary}`).slice(1) : []) {
+    if (part.startsWith('--')) break; // closing boundary
+    parts.push(splitMimeEntity(part.replace(/^[ \t]*\r?\n/, '').replace(/\r?\n$/, '')));
+  }
+  return parts;
+}
+
+function decodeMimeBytes(entity) {
+  const encoding = (entity.headers['content-transfer-encoding'] || '').toLowerCase();
+  if (encoding === 'base64') return Buffer.from(entity.body.replace(/\s+/g, ''), 'base64');
+  if (encoding === 'quoted-printable') return decodeQuotedPrintable(entity.body);
+  return Buffer.from(entity.body, 'latin1');
+}
+
+function decodeMimeBody(entity) {
+  return decodeCharset(decodeMimeBytes(entity), getHeaderParam(entity.headers['content-type'], 'charset') || 'utf-8');
+}
+
+// First text/plain and text/html parts, depth first (attachments are skipped)
+function findMimeText(entity, found = {}) {
+  const type = getMimeType(entity);
+
+  if (type.startsWith('multipart/')) {
+    for (const part of getMimeParts(entity)) {
+      findMimeText(part, found);
+    }
+    return found;
+  }
+
+  if ((entity.headers['content-disposition'] || '').toLowerCase().startsWith('attachment')) return found;
+  if (type === 'text/plain' && found.text === undefined) found.text = decodeMimeBody(entity);
+  if (type === 'text/html' && found.html === undefined) found.html = decodeMimeBody(entity);
+  return found;
+}
+
+// File name of a MIME part from Content-Disposition or Content-Type, RFC 2231 (filename*=utf-8''...)
+// or RFC 2047 encoded
+function getMimeFileName(entity) {
+  for (const [header, param] of [['content-disposition', 'filename'], ['content-type', 'name']]) {
+    const value = entity.headers[header];
+    const extended = /^([^']*)'[^']*'(.*)$/.exec(getHeaderParam(value, `${param}\\*`));
+    if (extended) {
+      const bytes = Buffer.from(extended[2].replace(/%([0-9A-Fa-f]{2})/g, (match, hex) => String.fromCharCode(parseInt(hex, 16))), 'latin1');
+      return decodeCharset(bytes, extended[1] || 'utf-8');
+    }
+    const plain = getHeaderParam(value, param);
+    if (plain) return decodeMimeWords(Buffer.from(plain, 'latin1').toString('utf8'));
+  }
+  return '';
+}
+
+// Parts with a file name and attached emails, depth first: [{ fileName, read() -> Buffer }].
+// Inline images count, as they do in Outlook.
+function findMimeAttachments(entity, found = []) {
+  const type = getMimeType(entity);
+
+  if (type.startsWith('multipart/')) {
+    for (const part of getMimeParts(entity)) {
+      findMimeAttachments(part, found);
+    }
+    return found;
+  }
+
+  const fileName = getMimeFileName(entity) || (type === 'message/rfc822' ? 'message.eml' : '');
+  if (fileName) {
+    found.push({ fileName, read: () => decodeMimeBytes(entity) });
+  }
+  return found;
+}
+
+function htmlToPlainText(html) {
+  return html
+    .replace(/<(script|style)[\s\S]*?<\/\1>/gi, '')
+    .replace(/<br\s*\/?>|<\/(p|div|li|tr|h[1-6])>/gi, '\n')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, '\'')
+    .replace(/&amp;/g, '&')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+// An .eml file (latin1 string) as the emailData the AI pipeline takes
+function parseEml(raw) {
+  const entity = splitMimeEntity(raw);
+  // Unencoded 8-bit header text is taken as UTF-8
+  const header = name => decodeMimeWords(Buffer.from(entity.headers[name] || '', 'latin1').toString('utf8'));
+  const from = header('from');
+  const senderEmail = /<([^>]+)>/.exec(from)?.[1] || /[^\s<>"]+@[^\s<>"]+/.exec(from)?.[0] || '';
+  const { text, html } = findMimeText(entity);
+
+  return {
+    subject: header('subject'),
+    senderName: from.replace(/<[^>]*>/, '').replace(/"/g, '').trim() || senderEmail,
+    senderEmail,
+    to: header('to'),
+    cc: header('cc'),
+    receivedTime: header('date'),
+    body: text ?? htmlToPlainText(html || ''),
+    bodyHtml: html || '',
+  };
+}
+
+// Importance / X-Priority headers as Outlook's 'high' | 'normal' | 'low'
+function getMimeImportance(headers) {
+  const importance = (headers.importance || '').toLowerCase();
+  const priority = parseInt(headers['x-priority'], 10);
+  if (importance === 'high' || priority < 3) return 'high';
+  if (importance === 'low' || priority > 3) return 'low';
+  return 'normal';
+}
+
+// One RFC 822 message (latin1 string) as a mail record: { email, messageId, references, attachments }
+function parseMimeMessage(raw) {
+  const { headers } = splitMimeEntity(raw);
+  const thread = `${headers.references || ''} ${headers['in-reply-to'] || ''}`.match(/<[^>]+>/g) || [];
+
+  return {
+    email: {
+      ...parseEml(raw),
+      importance: getMimeImportance(headers),
+      conversationId: thread[0] || headers['message-id'] || '',
+    },
+    messageId: headers['message-id'] || '',
+    references: headers.references || '',
+    attachments: findMimeAttachments(splitMimeEntity(raw)),
+  };
+}
+
+// Messages of an mbox file. Each starts with a "From " line at the top of the file or after a blank
+// line; quoted ">From " lines in the bodies are restored (mboxrd).
+function splitMbox(raw) {
+  return raw
+    .split(/(?:^|\r?\n\r?\n)From [^\r\n]*\r?\n/)
+    .filter(message => message.trim())
+    .map(message => message.replace(/^>(>*From )/gm, '$1'));
+}
+
+// ---------- Outlook .msg ----------
+
+// Streams of an OLE compound file, the container of .msg files, by path (storages joined with /):
+// Map of '__substg1.0_0037001F' or '__attach_version1.0_#00000000/__substg1.0_37010102' -> read() -> Buffer
+function readCompoundFile(buffer) {
+  if (buffer.length < 512 || buffer.readUInt32LE(0) !== 0xE011CFD0 || buffer.readUInt32LE(4) !== 0xE11AB1A1) {
+    throw new Error('Not an Outlook .msg file');
+  }
+
+  const sectorSize = 2 ** buffer.readUInt16LE(0x1E);
+  const miniSectorSize = 2 ** buffer.readUInt16LE(0x20);
+  const miniStreamCutoff = buffer.readUInt32LE(0x38);
+  const sectorOffset = sector => (sector + 1) * sectorSize;
+  // Sector numbers from 0xFFFFFFFA up mark free sectors and chain ends
+  const isSector = sector => sector < 0xFFFFFFFA;
+  const readUInt32List = (data) => {
+    const list = [];
+    for (let offset = 0; offset + 4 <= data.length; offset += 4) list.push(data.readUInt32LE(offset));
+    return list;
+  };
+
+  // Sectors of a chain; stops at loops and at sectors past the end of damaged files
+  const getChain = (table, start) => {
+    const sectors = new Set();
+    for (let sector = start; isSector(sector) && sector < table.length && !sectors.has(sector); sector = table[sector]) {
+      sectors.add(sector);
+    }
+    return [...sectors];
+  };
+
+  // The FAT sectors are listed in the header (109) and then in a chain of DIFAT sectors
+  const fatSectors = readUInt32List(buffer.subarray(0x4C, 0x200));
+  let difatSector = buffer.readUInt32LE(0x44);
+  for (let count = buffer.readUInt32LE(0x48); count > 0 && isSector(difatSector); count--) {
+    const entries = readUInt32List(buffer.subarray(sectorOffset(difatSector), sectorOffset(difatSector) + sectorSize));
+    difatSector = entries.pop();
+    fatSectors.push(...entries);
+  }
+  const fat = fatSectors
+    .filter(isSector)
+    .flatMap(sector => readUInt32List(buffer.subarray(sectorOffset(sector), sectorOffset(sector) + sectorSize)));
+
+  const readChain = start => Buffer.concat(getChain(fat, start)
+    .map(sector => buffer.subarray(sectorOffset(sector), sectorOffset(sector) + sectorSize)));
+
+  const miniFat = buffer.readUInt32LE(0x40) > 0 ? readUInt32List(readChain(buffer.readUInt32LE(0x3C))) : [];
+  const directory = readChain(buffer.readUInt32LE(0x30));
+  const entries = [];
+  for (let offset = 0; offset + 128 <= directory.length; offset += 128) {
+    const nameLength = Math.min(64, directory.readUInt16LE(offset + 0x40));
+    entries.push({
+      name: directory.toString('utf16le', offset, offset + Math.max(0, nameLength - 2)),
+      type: directory[offset + 0x42], // 1 storage, 2 stream, 5 root
+      left: directory.readUInt32LE(offset + 0x44),
+      right: directory.readUInt32LE(offset + 0x48),
+      child: directory.readUInt32LE(offset + 0x4C),
+      start: directory.readUInt32LE(offset + 0x74),
+      size: directory.readUInt32LE(offset + 0x78),
+    });
+  }
+  if (entries.length === 0) {
+    throw new Error('The .msg file has no directory');
+  }
+
+  // Streams under the cutoff live in the mini stream (the root entry's data) in 64-byte sectors
+  const miniStream = readChain(entries[0].start);
+  const readEntry = entry => (entry.size < miniStreamCutoff
+    ? Buffer.concat(getChain(miniFat, entry.start)
+      .map(sector => miniStream.subarray(sector * miniSectorSize, (sector + 1) * miniSectorSize)))
+    : readChain(entry.start)).subarray(0, entry.size);
+
+  // The children of a storage form a tree through left/right siblings
+  const streams = new Map();
+  const visited = new Set();
+  const visit = (index, prefix) => {
+    if (index >= entries.length || visited.has(index)) return;
+    visited.add(index);
+    const entry = entries[index];
+    visit(entry.left, prefix);
+    visit(entry.right, prefix);
+    if (entry.type === 2) {
+      streams.set(prefix + entry.name, () => readEntry(entry));
+    } else if (entry.type === 1) {
+      visit(entry.child, `${prefix}${entry.name}/`);
+    }
+  };
+  visit(entries[0].child, '');
+  return streams;
+}
+
+// A string property of a .msg storage (MS-OXMSG __substg1.0_<id><type>): 001F UTF-16, 001E 8-bit
+function readMsgString(streams, storage, id) {
+  const unicode = streams.get(`${storage}__substg1.0_${id}001F`);
+  if (unicode) return unicode().toString('utf16le').replace(/\0+$/, '');
+  const ansi = streams.get(`${storage}__substg1.0_${id}001E`);
+  return ansi ? decodeCharset(ansi(), 'windows-1252').replace(/\0+$/, '') : '';
+}
+
+// Fixed-size properties of a .msg storage: Map of property id ('0E06') -> 8-byte value.
+// The stream starts with a header of 32 bytes for the message and 8 for recipients and attachments.
+function readMsgFixedProperties(streams, storage, headerSize) {
+  const stream = streams.get(`${storage}__properties_version1.0`);
+  const data = stream ? stream() : Buffer.alloc(0);
+  const properties = new Map();
+  for (let offset = headerSize; offset + 16 <= data.length; offset += 16) {
+    const id = (data.readUInt32LE(offset) >>> 16).toString(16).toUpperCase().padStart(4, '0');
+    properties.set(id, data.subarray(offset + 8, offset + 16));
+  }
+  return properties;
+}
+
+// FILETIME (100 ns ticks since 1601) as an ISO date, '' when missing
+function fileTimeToIso(value) {
+  if (!value) return '';
+  const ms = (value.readUInt32LE(4) * 2 ** 32 + value.readUInt32LE(0)) / 10000 - 11644473600000;
+  return ms > 0 ? new Date(ms).toISOString() : '';
+}
+
+// An Outlook .msg file as a mail record, like parseMimeMessage
+function parseMsg(buffer) {
+  const streams = readCompoundFile(buffer);
+  const property = id => readMsgString(streams, '', id);
+  const fixed = readMsgFixedProperties(streams, '', 32);
+  // Internet headers of received mail (PR_TRANSPORT_MESSAGE_HEADERS)
+  const { headers } = splitMimeEntity(property('007D'));
+  // Top-level storages of one kind, e.g. '__recip_version1.0_#00000000/'
+  const storages = kind => [...new Set([...streams.keys()]
+    .filter(key => key.startsWith(kind))
+    .map(key => key.slice(0, key.indexOf('/') + 1)))].sort();
+
+  const recipients = { to: [], cc: [] };
+  for (const storage of storages('__recip_version1.0_')) {
+    const type = readMsgFixedProperties(streams, storage, 8).get('0C15')?.readUInt32LE(0);
+    const name = readMsgString(streams, storage, '3001');
+    const address = readMsgString(streams, storage, '39FE') || readMsgString(streams, storage, '3003');
+    if (type === 1 || type === 2) {
+      recipients[type === 2 ? 'cc' : 'to'].push(name && name !== address && address ? `${name} <${address}>` : (address || name));
+    }
+  }
+
+  const htmlStream = streams.get('__substg1.0_10130102');
+  const html = htmlStream ? decodeCharset(htmlStream()) : property('1013');
+  const senderEmail = property('5D01') || property('0C1F') || property('0065');
+  const importance = fixed.get('0017')?.readUInt32LE(0);
+  const thread = `${property('1039')} ${property('1042')}`.match(/<[^>]+>/g) || [];
+  const messageId = property('1035') || headers['message-id'] || '';
+
+  return {
+    email: {
+      subject: property('0037'),
+      senderName: property('0C1A') || property('0042') || senderEmail,
+      senderEmail,
+      to: recipients.to.join(', ') || property('0E04'),
+      cc: recipients.cc.join(', ') || property('0E03'),
+      receivedTime: fileTimeToIso(fixed.get('0E06') || fixed.get('0039')) || headers.date || '',
+      body: property('1000') || htmlToPlainText(html),
+      bodyHtml: html,
+      importance: importance === 2 ? 'high' : importance === 0 ? 'low' : 'normal',
+      conversationId: thread[0] || messageId,
+    },
+    messageId,
+    references: property('1039'),
+    // Attached files only - embedded emails have no data stream
+    attachments: storages('__attach_version1.0_')
+      .map(storage => ({
+        fileName: readMsgString(streams, storage, '3707') || readMsgString(streams, storage, '3704'),
+        read: streams.get(`${storage}__substg1.0_37010102`),
+      }))
+      .filter(attachment => attachment.fileName && attachment.read),
+  };
+}
+
+module.exports = {
+  decodeMimeWords,
+  encodeMimeHeader,
+  parseEml,
+  parseMimeMessage,
+  splitMbox,
+  parseMsg,
+};
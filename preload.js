@@ -20,13 +20,17 @@ contextBridge.exposeInMainWorld('electronAPI', {
   checkOutlookStatus: () => ipcRenderer.invoke('check-outlook-status'),
   
   // Create a reply in Outlook with AI content
-  createReplyInOutlook: (entryId, replyBody, replyAll = false) => 
-    ipcRenderer.invoke('create-reply-in-outlook', { entryId, replyBody, replyAll }),
+  // A flagged draft returns { flagged, flags }; allowFlagged opens it after the user reviewed them
+  createReplyInOutlook: (entryId, replyBody, replyAll = false, allowFlagged = false) => 
+    ipcRenderer.invoke('create-reply-in-outlook', { entryId, replyBody, replyAll, allowFlagged }),
   
   // Create a new email in Outlook
   createNewEmail: (to, subject, body) => 
     ipcRenderer.invoke('create-new-email', { to, subject, body }),
   
+  // Pick the folder for the mail folder backend (saved through saveAISettings as mail.folder)
+  selectMailFolder: () => ipcRenderer.invoke('select-mail-folder'),
+  
   // ========== File Analysis ==========
   
   // Get attachments from an email
@@ -46,13 +50,18 @@ contextBridge.exposeInMainWorld('electronAPI', {
   saveContactNotes: (email, notes, append = true) => 
     ipcRenderer.invoke('save-contact-notes', { email, notes, append }),
   
+  // Contact rules: instructions, tone and provider for a sender, domain or contact category
+  getContactRules: () => ipcRenderer.invoke('get-contact-rules'),
+  saveContactRule: (rule) => ipcRenderer.invoke('save-contact-rule', { rule }),
+  deleteContactRule: (id) => ipcRenderer.invoke('delete-contact-rule', { id }),
+  
   // Read and extract text from a file
   readFileContent: (filePath) => 
     ipcRenderer.invoke('read-file-content', { filePath }),
   
-  // Analyze file with AI
-  analyzeFile: (filePath, analysisType, useOcr = false) => 
-    ipcRenderer.invoke('analyze-file', { filePath, analysisType, useOcr }),
+  // Analyze file with AI (jobId lets cancelJob stop it, bypassCache regenerates)
+  analyzeFile: (filePath, analysisType, useOcr = false, jobId, bypassCache = false) => 
+    ipcRenderer.invoke('analyze-file', { filePath, analysisType, useOcr, jobId, bypassCache }),
   
   // Run OCR on an image
   runOcr: (filePath) => 
@@ -71,12 +80,32 @@ contextBridge.exposeInMainWorld('electronAPI', {
   
   // ========== AI Settings ==========
   getAISettings: () => ipcRenderer.invoke('get-ai-settings'),
+  getAIProviders: () => ipcRenderer.invoke('get-ai-providers'),
   saveAISettings: (settings) => ipcRenderer.invoke('save-ai-settings', settings),
+  // Context profiles are edited through saveAISettings; the header switcher only changes the active one
+  setActiveProfile: (profileId) => ipcRenderer.invoke('set-active-profile', { profileId }),
+  getAICacheStats: () => ipcRenderer.invoke('get-ai-cache-stats'),
+  clearAICache: () => ipcRenderer.invoke('clear-ai-cache'),
+  
+  // ========== Company Knowledge Base ==========
+  // Folders are saved with the settings (companyContext.sources); indexing runs in the background
+  selectKnowledgeFolder: () => ipcRenderer.invoke('select-knowledge-folder'),
+  getKnowledgeStatus: () => ipcRenderer.invoke('get-knowledge-status'),
+  reindexKnowledge: (force = false) => ipcRenderer.invoke('reindex-knowledge', { force }),
+  
+  // ========== Model Discovery ==========
+  // Lists the models of the provider/endpoint being edited (apiKey: unsaved key, optional)
+  listModels: (provider, endpoint, apiKey) => ipcRenderer.invoke('list-models', { provider, endpoint, apiKey }),
+  // jobId reports progress through onOllamaPullProgress and allows cancelJob
+  pullOllamaModel: (endpoint, name, jobId) => ipcRenderer.invoke('pull-ollama-model', { endpoint, name, jobId }),
+  deleteOllamaModel: (endpoint, name) => ipcRenderer.invoke('delete-ollama-model', { endpoint, name }),
   
   // ========== AI Processing ==========
-  processWithAI: (prompt, emailData) => 
-    ipcRenderer.invoke('process-with-ai', { prompt, emailData }),
+  // variants: { count, varyTone } - count 2-5 returns alternative drafts to compare
+  processWithAI: (prompt, emailData, variants = {}) => 
+    ipcRenderer.invoke('process-with-ai', { prompt, emailData, variants: variants.count, varyTone: variants.varyTone }),
   testAIConnection: () => ipcRenderer.invoke('test-ai-connection'),
+  cancelJob: (jobId) => ipcRenderer.invoke('cancel-job', { jobId }),
   
   // ========== Prompt Library ==========
   getPrompts: () => ipcRenderer.invoke('get-prompts'),
@@ -85,13 +114,60 @@ contextBridge.exposeInMainWorld('electronAPI', {
   deletePrompt: (id) => ipcRenderer.invoke('delete-prompt', { id }),
   processWithCustomPrompt: (promptId, emailData) => 
     ipcRenderer.invoke('process-with-custom-prompt', { promptId, emailData }),
-  processWithMultiPrompts: (promptIds, emailData, quickNotes) =>
-    ipcRenderer.invoke('process-with-multi-prompts', { promptIds, emailData, quickNotes }),
-  smartShot: (emailData, promptIds, quickNotes) =>
-    ipcRenderer.invoke('smart-shot', { emailData, promptIds, quickNotes }),
+  // jobId identifies the run for both streamed chunks and cancelJob; bypassCache regenerates
+  // variants: { count, varyTone } for alternative drafts (count 1 = a single answer)
+  processWithMultiPrompts: (promptIds, emailData, quickNotes, jobId, bypassCache = false, variants = {}) =>
+    ipcRenderer.invoke('process-with-multi-prompts', {
+      promptIds, emailData, quickNotes, streamId: jobId, jobId, bypassCache, variants: variants.count, varyTone: variants.varyTone,
+    }),
+  smartShot: (emailData, promptIds, quickNotes, jobId, bypassCache = false, variants = {}) =>
+    ipcRenderer.invoke('smart-shot', {
+      emailData, promptIds, quickNotes, streamId: jobId, jobId, bypassCache, variants: variants.count, varyTone: variants.varyTone,
+    }),
+  // What a multi-prompt run would send to the primary provider after PII redaction (no AI call)
+  previewRedaction: (promptIds, emailData, quickNotes) =>
+    ipcRenderer.invoke('preview-redaction', { promptIds, emailData, quickNotes }),
   exportPrompts: () => ipcRenderer.invoke('export-prompts'),
   importPrompts: (jsonData) => ipcRenderer.invoke('import-prompts', { jsonData }),
   
+  // ========== Follow-up Chat ==========
+  getConversation: (entryId) => ipcRenderer.invoke('get-conversation', { entryId }),
+  // latest: the AI result shown for the email ({ content, sources, usedPrompts, request }), if any;
+  // jobId streams the answer and allows cancelJob
+  sendFollowUp: (emailData, message, latest, jobId) =>
+    ipcRenderer.invoke('send-follow-up', {
+      emailData,
+      message,
+      latestResult: latest?.content,
+      latestSources: latest?.sources,
+      usedPrompts: latest?.usedPrompts || [],
+      request: latest?.request,
+      streamId: jobId,
+      jobId,
+    }),
+  clearConversation: (entryId) => ipcRenderer.invoke('clear-conversation', { entryId }),
+  
+  // ========== Offline Job Queue ==========
+  getJobQueue: () => ipcRenderer.invoke('get-job-queue'),
+  retryQueuedJob: (id) => ipcRenderer.invoke('retry-queued-job', { id }),
+  discardQueuedJob: (id) => ipcRenderer.invoke('discard-queued-job', { id }),
+  
+  // ========== AI History ==========
+  // filters: { query, prompt, sender, from, to } - from / to as YYYY-MM-DD
+  getHistory: (filters) => ipcRenderer.invoke('get-history', filters),
+  getHistoryStatus: () => ipcRenderer.invoke('get-history-status'),
+  deleteHistoryEntry: (id) => ipcRenderer.invoke('delete-history-entry', { id }),
+  clearHistory: () => ipcRenderer.invoke('clear-history'),
+  
+  // ========== Semantic Search ==========
+  // query: search by meaning; findSimilarEmails: emails closest to an indexed one
+  semanticSearch: (query, limit) => ipcRenderer.invoke('semantic-search', { query, limit }),
+  findSimilarEmails: (entryId, limit) => ipcRenderer.invoke('semantic-search', { entryId, limit }),
+  // folder: 'inbox' | 'sent' (fetched emails are also indexed automatically)
+  semanticIndex: (emails, folder = 'inbox') => ipcRenderer.invoke('semantic-index', { emails, folder }),
+  getSemanticIndexStatus: () => ipcRenderer.invoke('get-semantic-index-status'),
+  clearSemanticIndex: () => ipcRenderer.invoke('clear-semantic-index'),
+  
   // ========== Prompt Presets ==========
   getPresets: () => ipcRenderer.invoke('get-presets'),
   savePreset: (name, promptIds) => ipcRenderer.invoke('save-preset', { name, promptIds }),
@@ -104,6 +180,13 @@ contextBridge.exposeInMainWorld('electronAPI', {
   reportRendererError: (error, componentStack, url) => 
     ipcRenderer.invoke('report-renderer-error', { error, componentStack, url }),
   
+  // ========== AI Usage Ledger ==========
+  getUsageSummary: (days) => ipcRenderer.invoke('get-usage-summary', { days }),
+  getUsagePrices: () => ipcRenderer.invoke('get-usage-prices'),
+  saveUsagePrices: (prices) => ipcRenderer.invoke('save-usage-prices', prices),
+  exportUsageCsv: (days) => ipcRenderer.invoke('export-usage-csv', { days }),
+  clearUsageLedger: () => ipcRenderer.invoke('clear-usage-ledger'),
+  
   // ========== Clipboard ==========
   copyToClipboard: (text) => ipcRenderer.invoke('copy-to-clipboard', text),
   
@@ -140,6 +223,41 @@ contextBridge.exposeInMainWorld('electronAPI', {
   onNavigateSettings: (callback) => {
     ipcRenderer.on('navigate-settings', callback);
     return () => ipcRenderer.removeListener('navigate-settings', callback);
+  },
+  
+  // Offline queue changes: callback({ jobs })
+  onJobQueueUpdated: (callback) => {
+    const listener = (event, data) => callback(data);
+    ipcRenderer.on('job-queue-updated', listener);
+    return () => ipcRenderer.removeListener('job-queue-updated', listener);
+  },
+  
+  // Search indexing: callback({ folder, indexed, total }) per batch, then { done, count }
+  onSemanticIndexProgress: (callback) => {
+    const listener = (event, data) => callback(data);
+    ipcRenderer.on('semantic-index-progress', listener);
+    return () => ipcRenderer.removeListener('semantic-index-progress', listener);
+  },
+  
+  // Knowledge base indexing: callback({ processed, total, file }) per file, then { done }
+  onKnowledgeIndexProgress: (callback) => {
+    const listener = (event, data) => callback(data);
+    ipcRenderer.on('knowledge-index-progress', listener);
+    return () => ipcRenderer.removeListener('knowledge-index-progress', listener);
+  },
+  
+  // Ollama pull progress: callback({ jobId, name, status, total, completed })
+  onOllamaPullProgress: (callback) => {
+    const listener = (event, data) => callback(data);
+    ipcRenderer.on('ollama-pull-progress', listener);
+    return () => ipcRenderer.removeListener('ollama-pull-progress', listener);
+  },
+  
+  // Streamed AI output: callback({ streamId, delta }) for each chunk, { streamId, toolCall } for mailbox lookups
+  onAiStreamChunk: (callback) => {
+    const listener = (event, data) => callback(data);
+    ipcRenderer.on('ai-stream-chunk', listener);
+    return () => ipcRenderer.removeListener('ai-stream-chunk', listener);
   }
 });
 
@@ -0,0 +1,380 @@
+// Writes the emails of the sample mailbox (demo-mail/): an .eml and an Outlook .msg in inbox/ and an
+// mbox of two sent emails in sent/. The emails are dated in the days before --date (default: now),
+// so re-running the script brings them back into the Inbox tab's date ranges:
+//   node scripts/make-demo-mail.js [--date=2026-10-19] [--out=demo-mail]
+// The .msg is written as an OLE compound file with the MS-OXMSG streams the file backend reads.
+const fs = require('fs');
+const path = require('path');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// ---------- Dates ----------
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+const pad = value => String(value).padStart(2, '0');
+const clock = date => `${pad(date.getUTCHours())}:${pad(date.getUTCMinutes())}:${pad(date.getUTCSeconds())}`;
+
+// RFC 5322 Date header: Wed, 16 Oct 2026 14:20:00 +0000
+function toMailDate(date) {
+  return `${WEEKDAYS[date.getUTCDay()]}, ${pad(date.getUTCDate())} ${MONTHS[date.getUTCMonth()]} ${date.getUTCFullYear()} ${clock(date)} +0000`;
+}
+
+// Date of an mbox "From " line (asctime): Wed Oct 16 14:20:00 2026
+function toMboxDate(date) {
+  return `${WEEKDAYS[date.getUTCDay()]} ${MONTHS[date.getUTCMonth()]} ${String(date.getUTCDate()).padStart(2, ' ')} ${clock(date)} ${date.getUTCFullYear()}`;
+}
+
+// FILETIME (100 ns ticks since 1601) as an 8-byte property value
+function toFileTime(date) {
+  const value = Buffer.alloc(8);
+  value.writeBigUInt64LE((BigInt(date.getTime()) + 11644473600000n) * 10000n);
+  return value;
+}
+
+// ---------- OLE compound file ----------
+
+const SECTOR_SIZE = 512;
+const MINI_SECTOR_SIZE = 64;
+const MINI_STREAM_CUTOFF = 4096;
+const END_OF_CHAIN = 0xFFFFFFFE;
+const FAT_SECTOR = 0xFFFFFFFD;
+const NO_STREAM = 0xFFFFFFFF;
+
+// Directory order of sibling names: shorter names first, then by uppercase name
+function compareEntryNames(a, b) {
+  if (a.length !== b.length) return a.length - b.length;
+  const x = a.toUpperCase();
+  const y = b.toUpperCase();
+  return x < y ? -1 : x > y ? 1 : 0;
+}
+
+// files: { 'storage/stream': Buffer } -> compound file (version 3, 512-byte sectors)
+function writeCompoundFile(files) {
+  const entries = [{ name: 'Root Entry', type: 5, children: [] }];
+  const indexByPath = new Map([['', 0]]);
+  for (const [filePath, data] of Object.entries(files)) {
+    const parts = filePath.split('/');
+    parts.forEach((name, depth) => {
+      const entryPath = parts.slice(0, depth + 1).join('/');
+      if (indexByPath.has(entryPath)) return;
+      const isStream = depth === parts.length - 1;
+      entries.push({ name, type: isStream ? 2 : 1, children: [], data: isStream ? data : null });
+      indexByPath.set(entryPath, entries.length - 1);
+      entries[indexByPath.get(parts.slice(0, depth).join('/'))].children.push(entries.length - 1);
+    });
+  }
+
+  // The children of a storage as a balanced binary search tree (all nodes black)
+  const buildTree = (ids) => {
+    if (ids.length === 0) return NO_STREAM;
+    const middle = ids.length >> 1;
+    const entry = entries[ids[middle]];
+    entry.left = buildTree(ids.slice(0, middle));
+    entry.right = buildTree(ids.slice(middle + 1));
+    return ids[middle];
+  };
+  for (const entry of entries) {
+    entry.left = NO_STREAM;
+    entry.right = NO_STREAM;
+    entry.child = NO_STREAM;
+  }
+  for (const entry of entries) {
+    entry.child = buildTree([...entry.children].sort((a, b) => compareEntryNames(entries[a].name, entries[b].name)));
+  }
+
+  // Small streams go into the mini stream, the others get sectors of their own
+  const sectors = [];
+  const fat = [];
+  const allocate = (data) => {
+    const count = Math.max(1, Math.ceil(data.length / SECTOR_SIZE));
+    const start = sectors.length;
+    for (let i = 0; i < count; i++) {
+      const sector = Buffer.alloc(SECTOR_SIZE);
+      data.copy(sector, 0, i * SECTOR_SIZE, (i + 1) * SECTOR_SIZE);
+      sectors.push(sector);
+      fat.push(i === count - 1 ? END_OF_CHAIN : start + i + 1);
+    }
+    return start;
+  };
+
+  const miniChunks = [];
+  const miniFat = [];
+  for (const entry of entries.filter(e => e.type === 2)) {
+    entry.size = entry.data.length;
+    if (entry.size >= MINI_STREAM_CUTOFF) {
+      entry.start = allocate(entry.data);
+      continue;
+    }
+    const count = Math.ceil(entry.size / MINI_SECTOR_SIZE);
+    entry.start = count > 0 ? miniFat.length : END_OF_CHAIN;
+    for (let i = 0; i < count; i++) {
+      miniFat.push(i === count - 1 ? END_OF_CHAIN : miniFat.length + 1);
+    }
+    const padded = Buffer.alloc(count * MINI_SECTOR_SIZE);
+    entry.data.copy(padded);
+    miniChunks.push(padded);
+  }
+  const miniStream = Buffer.concat(miniChunks);
+  entries[0].start = miniStream.length > 0 ? allocate(miniStream) : END_OF_CHAIN;
+  entries[0].size = miniStream.length;
+
+  const miniFatData = Buffer.alloc(Math.ceil(miniFat.length / 128) * SECTOR_SIZE, 0xff);
+  miniFat.forEach((value, i) => miniFatData.writeUInt32LE(value, i * 4));
+  const miniFatStart = miniFat.length > 0 ? allocate(miniFatData) : END_OF_CHAIN;
+
+  const directory = Buffer.alloc(Math.ceil(entries.length / 4) * 4 * 128);
+  for (let i = 0; i < directory.length / 128; i++) {
+    const offset = i * 128;
+    const entry = entries[i] || { left: NO_STREAM, right: NO_STREAM, child: NO_STREAM };
+    if (entries[i]) {
+      const name = Buffer.from(`${entry.name}\0`, 'utf16le');
+      name.copy(directory, offset);
+      directory.writeUInt16LE(name.length, offset + 0x40);
+      directory[offset + 0x42] = entry.type;
+      directory[offset + 0x43] = 1; // black
+      directory.writeUInt32LE(entry.type === 1 ? 0 : entry.start, offset + 0x74);
+      directory.writeUInt32LE(entry.type === 1 ? 0 : entry.size, offset + 0x78);
+    }
+    directory.writeUInt32LE(entry.left, offset + 0x44);
+    directory.writeUInt32LE(entry.right, offset + 0x48);
+    directory.writeUInt32LE(entry.child, offset + 0x4C);
+  }
+  const directoryStart = allocate(directory);
+
+  // The FAT covers every sector, its own included (up to the 109 the header can list)
+  let fatSectorCount = 1;
+  while (sectors.length + fatSectorCount > fatSectorCount * 128) fatSectorCount++;
+  const fatStart = sectors.length;
+  for (let i = 0; i < fatSectorCount; i++) fat.push(FAT_SECTOR);
+  const fatData = Buffer.alloc(fatSectorCount * SECTOR_SIZE, 0xff);
+  fat.forEach((value, i) => fatData.writeUInt32LE(value, i * 4));
+  for (let i = 0; i < fatSectorCount; i++) {
+    sectors.push(fatData.subarray(i * SECTOR_SIZE, (i + 1) * SECTOR_SIZE));
+  }
+
+  const header = Buffer.alloc(SECTOR_SIZE);
+  header.writeUInt32LE(0xE011CFD0, 0);
+  header.writeUInt32LE(0xE11AB1A1, 4);
+  header.writeUInt16LE(0x3E, 0x18); // minor version
+  header.writeUInt16LE(3, 0x1A); // major version
+  header.writeUInt16LE(0xFFFE, 0x1C); // little-endian
+  header.writeUInt16LE(9, 0x1E); // 512-byte sectors
+  header.writeUInt16LE(6, 0x20); // 64-byte mini sectors
+  header.writeUInt32LE(fatSectorCount, 0x2C);
+  header.writeUInt32LE(directoryStart, 0x30);
+  header.writeUInt32LE(MINI_STREAM_CUTOFF, 0x38);
+  header.writeUInt32LE(miniFatStart, 0x3C);
+  header.writeUInt32LE(miniFatData.length / SECTOR_SIZE, 0x40);
+  header.writeUInt32LE(END_OF_CHAIN, 0x44); // no DIFAT sectors
+  for (let i = 0; i < 109; i++) {
+    header.writeUInt32LE(i < fatSectorCount ? fatStart + i : NO_STREAM, 0x4C + i * 4);
+  }
+  return Buffer.concat([header, ...sectors]);
+}
+
+// ---------- .msg properties ----------
+
+// String property stream (PT_UNICODE, UTF-16 with a terminating zero)
+const msgString = text => Buffer.from(`${text}\0`, 'utf16le');
+
+// __properties_version1.0: a header (32 bytes for the message, 8 for recipients and attachments)
+// and a 16-byte entry per fixed-size property: tag, flags, 8-byte value
+function msgProperties(headerSize, properties) {
+  const data = Buffer.alloc(headerSize + properties.length * 16);
+  properties.forEach(([tag, value], i) => {
+    const offset = headerSize + i * 16;
+    data.writeUInt32LE(tag, offset);
+    data.writeUInt32LE(0x6, offset + 4); // readable, writable
+    if (Buffer.isBuffer(value)) {
+      value.copy(data, offset + 8);
+    } else {
+      data.writeUInt32LE(value, offset + 8);
+    }
+  });
+  return data;
+}
+
+const PR_IMPORTANCE = 0x00170003;
+const PR_CLIENT_SUBMIT_TIME = 0x00390040;
+const PR_MESSAGE_DELIVERY_TIME = 0x0E060040;
+const PR_RECIPIENT_TYPE = 0x0C150003;
+const PR_ATTACH_METHOD = 0x37050003;
+
+// ---------- The sample emails ----------
+
+const Q1_FIGURES_BODY = `Hi Alex,
+
+ahead of Thursday's board meeting, here are the Q1 figures for the support
+licences (CSV attached). Renewals are up 12% on Q4 and the churn came down to 2.1%.
+
+Could you add a slide on the 500-seat renewal with Example Corp? The board will
+ask about the SSO and SCIM timeline, so a one-line status on each would help.
+
+Thanks,
+Priya
+`;
+
+const Q1_FIGURES_CSV = `month,new_seats,renewed_seats,churned_seats,revenue_eur
+January,120,840,18,41200
+February,95,910,22,43950
+March,140,1020,19,48700
+`;
+
+function makeQ1FiguresMsg(sent, delivered) {
+  const recipient = '__recip_version1.0_#00000000/';
+  const cc = '__recip_version1.0_#00000001/';
+  const attachment = '__attach_version1.0_#00000000/';
+  return writeCompoundFile({
+    '__substg1.0_0037001F': msgString('Q1 figures for the board deck'),
+    '__substg1.0_0C1A001F': msgString('Priya Raman'),
+    '__substg1.0_5D01001F': msgString('priya.raman@example.org'),
+    '__substg1.0_0E04001F': msgString('Alex Morgan'),
+    '__substg1.0_0E03001F': msgString('Sam Lee'),
+    '__substg1.0_1000001F': msgString(Q1_FIGURES_BODY),
+    '__substg1.0_1035001F': msgString('<q1-figures-board@example.org>'),
+    '__properties_version1.0': msgProperties(32, [
+      [PR_IMPORTANCE, 2], // high
+      [PR_CLIENT_SUBMIT_TIME, toFileTime(sent)],
+      [PR_MESSAGE_DELIVERY_TIME, toFileTime(delivered)],
+    ]),
+    [`${recipient}__substg1.0_3001001F`]: msgString('Alex Morgan'),
+    [`${recipient}__substg1.0_39FE001F`]: msgString('alex@example.org'),
+    [`${recipient}__properties_version1.0`]: msgProperties(8, [[PR_RECIPIENT_TYPE, 1]]), // To
+    [`${cc}__substg1.0_3001001F`]: msgString('Sam Lee'),
+    [`${cc}__substg1.0_39FE001F`]: msgString('sam.lee@example.org'),
+    [`${cc}__properties_version1.0`]: msgProperties(8, [[PR_RECIPIENT_TYPE, 2]]), // Cc
+    [`${attachment}__substg1.0_3707001F`]: msgString('q1-figures.csv'),
+    [`${attachment}__substg1.0_3704001F`]: msgString('Q1FIGU~1.CSV'),
+    [`${attachment}__substg1.0_370E001F`]: msgString('text/csv'),
+    [`${attachment}__substg1.0_37010102`]: Buffer.from(Q1_FIGURES_CSV),
+    [`${attachment}__properties_version1.0`]: msgProperties(8, [[PR_ATTACH_METHOD, 1]]), // by value
+  });
+}
+
+const RENEWAL_TERMS = `Renewal terms - draft for discussion
+
+Term:            24 months from 1 May
+Seats:           500 (support team), +50 at the same price until month 12
+Price per seat:  39 EUR / month, billed annually
+SSO (SAML):      included from the renewal date
+Support:         business hours, 4 h first response for priority 1
+Notice period:   3 months before the end of the term
+
+Open points
+- Delivery date for the SCIM user provisioning
+- Whether unused seats can be moved to the sales team
+`;
+
+// Multipart with a quoted-printable body, an encoded-word Cc and a base64 attachment
+function makeContractRenewalEml(date) {
+  const attachment = Buffer.from(RENEWAL_TERMS).toString('base64').replace(/.{76}/g, '$&\n');
+  return `From: "Dana Whitfield" <dana.whitfield@example.com>
+To: "Alex Morgan" <alex@example.org>
+Cc: procurement@example.com, =?utf-8?Q?J=C3=BCrgen_Maa=C3=9F?= <juergen.maass@example.com>
+Subject: Contract renewal - terms for review
+Date: ${toMailDate(date)}
+Message-ID: <renewal-terms@example.com>
+MIME-Version: 1.0
+Content-Type: multipart/mixed; boundary="renewal-boundary"
+
+--renewal-boundary
+Content-Type: text/plain; charset=utf-8
+Content-Transfer-Encoding: quoted-printable
+
+Hi Alex,
+
+thanks for the call on Monday. As promised, the renewal terms our procureme=
+nt team
+drafted are attached - could you check them before our budget meeting?
+
+Two questions from our side:
+1. Can the 500 seats include the 50 extra seats for the sales team at the s=
+ame price?
+2. When will SCIM user provisioning be available? We'd need it before the r=
+oll-out.
+
+Our finance lead, J=C3=BCrgen Maa=C3=9F, will join the next call.
+
+Best regards,
+Dana
+
+--renewal-boundary
+Content-Type: text/plain; charset=utf-8; name="renewal-terms.txt"
+Content-Disposition: attachment; filename="renewal-terms.txt"
+Content-Transfer-Encoding: base64
+
+${attachment}
+--renewal-boundary--
+`;
+}
+
+// Two sent emails; the second has a body line starting with "From", quoted as ">From" (mboxrd)
+function makeDanaWhitfieldMbox(firstDate, secondDate) {
+  return `From alex@example.org ${toMboxDate(firstDate)}
+From: "Alex Morgan" <alex@example.org>
+To: "Dana Whitfield" <dana.whitfield@example.com>
+Subject: Re: Volume pricing for 500 seats?
+Date: ${toMailDate(firstDate)}
+Message-ID: <pricing-reply@example.org>
+In-Reply-To: <pricing-question@example.com>
+MIME-Version: 1.0
+Content-Type: text/plain; charset=utf-8
+Content-Transfer-Encoding: 7bit
+
+Hi Dana,
+
+thanks for your interest. We do offer volume pricing from 250 seats - for 500 seats
+I can offer 39 EUR per seat and month on an annual plan. SSO is part of that plan.
+
+I'll send the detailed terms after our call on Monday.
+
+Kind regards,
+Alex
+
+From alex@example.org ${toMboxDate(secondDate)}
+From: "Alex Morgan" <alex@example.org>
+To: "Dana Whitfield" <dana.whitfield@example.com>
+Subject: Agenda for Monday
+Date: ${toMailDate(secondDate)}
+Message-ID: <agenda@example.org>
+MIME-Version: 1.0
+Content-Type: text/plain; charset=utf-8
+Content-Transfer-Encoding: 7bit
+
+Hi Dana,
+
+for Monday I'd suggest:
+
+- Seat numbers and the price per seat
+- SSO set-up and the roll-out plan
+- Next steps on the contract
+
+>From our side, Sam from customer success will join as well.
+
+Best,
+Alex
+`;
+}
+
+function main() {
+  const option = name => process.argv.slice(2).find(arg => arg.startsWith(`--${name}=`))?.slice(name.length + 3);
+  const date = option('date') ? new Date(`${option('date')}T12:00:00Z`) : new Date();
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`Invalid --date: ${option('date')}`);
+  }
+  const out = path.resolve(option('out') || path.join(__dirname, '..', 'demo-mail'));
+  // Whole seconds, as in Date headers
+  const at = (days, hours) => new Date(Math.floor((date.getTime() - days * DAY_MS - hours * HOUR_MS) / 1000) * 1000);
+
+  fs.mkdirSync(path.join(out, 'inbox'), { recursive: true });
+  fs.mkdirSync(path.join(out, 'sent'), { recursive: true });
+  fs.writeFileSync(path.join(out, 'sent', 'dana-whitfield.mbox'), makeDanaWhitfieldMbox(at(3, 2), at(2, 5)));
+  fs.writeFileSync(path.join(out, 'inbox', 'contract-renewal.eml'), makeContractRenewalEml(at(1, 3)));
+  // The newest email, so it is the active one
+  fs.writeFileSync(path.join(out, 'inbox', 'q1-figures.msg'), makeQ1FiguresMsg(at(0, 2.25), at(0, 2)));
+  console.log(`Sample mailbox written to ${out}`);
+}
+
+main();
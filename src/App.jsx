@@ -29,6 +29,7 @@ import {
   Dialog,
   DialogTitle,
   DialogContent,
+  Select,
 } from '@mui/material';
 import {
   Email as EmailIcon,
@@ -54,6 +55,10 @@ import {
   TextSnippet as PromptsIcon,
   Person as PersonIcon,
   Search as SearchIcon,
+  Stop as StopIcon,
+  Autorenew as RegenerateIcon,
+  CloudQueue as QueueIcon,
+  History as HistoryIcon,
 } from '@mui/icons-material';
 import Settings from './components/Settings';
 import FilesTab from './components/FilesTab';
@@ -61,6 +66,14 @@ import PromptsTab from './components/PromptsTab';
 import PromptSelector from './components/PromptSelector';
 import ContactCard from './components/ContactCard';
 import InboxTab from './components/InboxTab';
+import StructuredResult from './components/StructuredResult';
+import FollowUpChat from './components/FollowUpChat';
+import VariantCompare from './components/VariantCompare';
+import QueueTab from './components/QueueTab';
+import HistoryTab from './components/HistoryTab';
+import RedactionPreview from './components/RedactionPreview';
+import InjectionWarningChip from './components/InjectionWarningChip';
+import DraftSafetyDialog from './components/DraftSafetyDialog';
 
 // Tab Panel component
 function TabPanel({ children, value, index, ...other }) {
@@ -216,6 +229,26 @@ function formatDate(dateString) {
   }
 }
 
+// Unique id for an AI run: matches streamed 'ai-stream-chunk' events and is the handle for cancelJob
+function createJobId() {
+  return `job-${Date.now()}-${Math.random().toString(36).substr(2, 6)}`;
+}
+
+// Knowledge base citation markers in an answer: [1], [2, 3]
+const CITATION_PATTERN = /\[(\d+(?:\s*,\s*\d+)*)\]/g;
+
+function getCitedSourceIds(content) {
+  const ids = new Set();
+  for (const match of (content || '').matchAll(CITATION_PATTERN)) {
+    match[1].split(',').forEach(id => ids.add(parseInt(id, 10)));
+  }
+  return ids;
+}
+
+function stripCitations(content) {
+  return content.replace(/ ?\[\d+(?:\s*,\s*\d+)*\]/g, '');
+}
+
 // Email detail viewer component
 function EmailViewer({ email, onClose, onContactClick }) {
   const [expanded, setExpanded] = useState(true);
@@ -320,6 +353,7 @@ function App() {
   const [tabValue, setTabValue] = useState(0);
   const [status, setStatus] = useState({
     outlook: 'pending',
+    mailSource: 'Outlook', // Name of the mail backend (Outlook or Mail folder)
     ai: 'offline',
   });
   const [message, setMessage] = useState(null);
@@ -339,10 +373,25 @@ function App() {
   const [smartShotStatus, setSmartShotStatus] = useState(null); // 'fetching' | 'extracting' | 'analyzing' | 'drafting' | 'sending' | null
   const [attachmentSummaries, setAttachmentSummaries] = useState([]);
   
+  // Running cancellable job (One Shot, Smart Shot, multi-prompt run)
+  const [activeJobId, setActiveJobId] = useState(null);
+  
   // Quick Notes (one-time disposable prompt)
   const [quickNotes, setQuickNotes] = useState('');
   const [keepQuickNotes, setKeepQuickNotes] = useState(false);
   
+  // Offline job queue (AI requests waiting for the provider to come back)
+  const [queuedJobs, setQueuedJobs] = useState([]);
+  
+  // Alternative drafts for One Shot / Smart Shot / Draft Reply (count 1 = a single answer)
+  const [variantOptions, setVariantOptions] = useState({ count: 1, varyTone: false });
+  
+  // What the next AI run would send after PII redaction (see RedactionPreview)
+  const [redactionPreview, setRedactionPreview] = useState(null);
+  
+  // Draft held back by the safety check in create-reply-in-outlook: { flags, resolve } while asking
+  const [draftReview, setDraftReview] = useState(null);
+  
   // Contact Card state
   const [showContactCard, setShowContactCard] = useState(false);
   
@@ -384,7 +433,7 @@ function App() {
         setAiSettings(settings);
         setStatus(prev => ({
           ...prev,
-          ai: settings.hasApiKey || settings.provider === 'ollama' ? 'online' : 'offline',
+          ai: settings.hasApiKey || settings.requiresApiKey === false ? 'online' : 'offline',
         }));
       } catch (error) {
         console.error('Error loading AI settings:', error);
@@ -416,7 +465,9 @@ function App() {
     loadPromptsAndPresets();
   }, [isElectron]);
 
-  // Check Outlook status on mount
+  // Check Outlook status on mount and when the mail source changes in Settings
+  const mailBackend = aiSettings?.mail?.backend;
+  const mailFolder = aiSettings?.mail?.folder;
   useEffect(() => {
     const checkStatus = async () => {
       if (!isElectron) {
@@ -429,6 +480,7 @@ function App() {
         setStatus(prev => ({
           ...prev,
           outlook: result && result.running ? 'online' : 'offline',
+          mailSource: result?.source || prev.mailSource,
         }));
       } catch (error) {
         console.error('Error checking Outlook status:', error);
@@ -444,6 +496,31 @@ function App() {
       clearTimeout(timeout);
       clearInterval(interval);
     };
+  }, [isElectron, mailBackend, mailFolder]);
+
+  // Follow the offline job queue for the Queue tab
+  useEffect(() => {
+    if (!isElectron || !window.electronAPI.getJobQueue) return undefined;
+    
+    window.electronAPI.getJobQueue().then((result) => {
+      if (result.success) setQueuedJobs(result.jobs);
+    });
+    return window.electronAPI.onJobQueueUpdated(({ jobs }) => setQueuedJobs(jobs));
+  }, [isElectron]);
+
+  // Append streamed AI chunks to the result panel while a run is in progress
+  useEffect(() => {
+    if (!isElectron || !window.electronAPI.onAiStreamChunk) return undefined;
+    
+    // reset: a failed attempt is being retried (or handed to a fallback provider) - drop its partial text
+    // toolCall: the AI looked something up in the mailbox (shown in the panel as it happens)
+    return window.electronAPI.onAiStreamChunk(({ streamId, delta, reset, toolCall }) => {
+      setAiResult(prev => {
+        if (!prev || !prev.streaming || prev.streamId !== streamId) return prev;
+        if (toolCall) return { ...prev, toolCalls: [...(prev.toolCalls || []), toolCall] };
+        return { ...prev, content: reset ? '' : prev.content + delta };
+      });
+    });
   }, [isElectron]);
 
   // Helper function to fetch and process with AI
@@ -458,7 +535,7 @@ function App() {
         setTabValue(0); // Switch to active email tab
         
         // Now process with AI
-        if (action && (aiSettings?.hasApiKey || aiSettings?.provider === 'ollama')) {
+        if (action && (aiSettings?.hasApiKey || aiSettings?.requiresApiKey === false)) {
           setLoading(prev => ({ ...prev, active: false, ai: true }));
           
           let prompt;
@@ -479,6 +556,7 @@ function App() {
               type: action,
               content: aiResult.content,
               email: result.data.subject,
+              answeredBy: aiResult.answeredBy,
             });
             await window.electronAPI.showNotification(
               'Grok-Outlook', 
@@ -556,6 +634,26 @@ function App() {
     }
   }, []);
 
+  // createReplyInOutlook with the draft safety check: a flagged draft is only opened once the user
+  // confirmed it in DraftSafetyDialog. sources: the knowledge base passages of the answer - its
+  // citation markers are for the reader of the draft, not the recipient, so they are removed here.
+  const createReply = useCallback(async (entryId, content, replyAll, sources) => {
+    const body = sources?.length > 0 ? stripCitations(content) : content;
+    const result = await window.electronAPI.createReplyInOutlook(entryId, body, replyAll);
+    if (!result.flagged) return result;
+    
+    const confirmed = await new Promise(resolve => setDraftReview({ flags: result.flags, resolve }));
+    if (!confirmed) {
+      return { success: false, message: 'Reply not opened - the draft was held back for review' };
+    }
+    return window.electronAPI.createReplyInOutlook(entryId, body, replyAll, true);
+  }, []);
+
+  const handleDraftReviewDecision = (confirmed) => {
+    draftReview?.resolve(confirmed);
+    setDraftReview(null);
+  };
+
   // Clear all content in the app
   const handleClearAll = useCallback(() => {
     setActiveEmail(null);
@@ -568,6 +666,37 @@ function App() {
     showMessage('info', 'All content cleared');
   }, [showMessage]);
 
+  // History tab: load the original email again, with the saved result in the result panel
+  const handleReopenFromHistory = async (entry) => {
+    setLoading(prev => ({ ...prev, active: true }));
+    try {
+      const result = await window.electronAPI.getEmailById(entry.email.entryId);
+      if (!result.success || !result.data) {
+        showMessage('warning', result.message || 'The original email could not be found in Outlook');
+        return;
+      }
+      
+      setActiveEmail(result.data);
+      setAttachmentSummaries([]);
+      setAiResult({
+        type: entry.feature === 'smart-shot' ? 'smart-shot' : 'multi',
+        content: entry.content,
+        data: entry.data,
+        sources: entry.sources,
+        email: entry.email.subject,
+        usedPrompts: entry.prompts,
+        hadQuickNotes: !!entry.quickNotes,
+        answeredBy: entry.answeredBy,
+        savedAt: entry.createdAt,
+      });
+      setTabValue(0);
+    } catch (error) {
+      showMessage('error', `Error: ${error.message}`);
+    } finally {
+      setLoading(prev => ({ ...prev, active: false }));
+    }
+  };
+
   const handleFetchActiveEmail = async () => {
     if (!isElectron) {
       showMessage('warning', 'Running in browser - Electron API not available');
@@ -605,7 +734,7 @@ function App() {
       return;
     }
 
-    if (!aiSettings?.hasApiKey && aiSettings?.provider !== 'ollama') {
+    if (!aiSettings?.hasApiKey && aiSettings?.requiresApiKey !== false) {
       showMessage('warning', 'Please configure your AI settings first (click the gear icon)');
       return;
     }
@@ -630,23 +759,49 @@ function App() {
       setActiveEmail(email);
       showMessage('info', `⚡ One Shot: Got "${email.subject}" - Processing...`);
       
-      // Step 2: Run AI with selected prompts
+      // Step 2: Run AI with selected prompts (partial text streams into the result panel)
       setOneShotStatus('processing');
       setLoading(prev => ({ ...prev, active: false, ai: true }));
       
-      const aiResult = await window.electronAPI.processWithMultiPrompts(selectedPromptIds, email, quickNotes);
+      const jobId = createJobId();
+      setActiveJobId(jobId);
+      setAiResult({ type: 'multi', content: '', email: email.subject, streaming: true, streamId: jobId });
+      
+      const aiResult = await window.electronAPI.processWithMultiPrompts(
+        selectedPromptIds, email, quickNotes, jobId, false, variantOptions
+      );
+      setActiveJobId(null);
       
       if (!aiResult.success) {
-        showMessage('error', aiResult.error || 'AI processing failed');
+        setAiResult(null);
+        if (aiResult.cancelled) {
+          showMessage('info', '⚡ One Shot cancelled');
+        } else {
+          showMessage(aiResult.queued ? 'warning' : 'error', aiResult.error || 'AI processing failed');
+        }
         return;
       }
       
       setAiResult({
         type: 'multi',
         content: aiResult.content,
+        data: aiResult.data,
+        toolCalls: aiResult.toolCalls,
+        sources: aiResult.sources,
+        injectionWarnings: aiResult.injectionWarnings,
+        profile: aiResult.profile,
+        contactRules: aiResult.contactRules,
         email: email.subject,
         usedPrompts: aiResult.usedPrompts || [],
+        request: aiResult.request,
         hadQuickNotes: aiResult.hadQuickNotes,
+        answeredBy: aiResult.answeredBy,
+        chunksProcessed: aiResult.chunksProcessed,
+        cachedAt: aiResult.cachedAt,
+        generationConflicts: aiResult.generationConflicts,
+        variants: aiResult.variants,
+        chosenVariant: 0,
+        rerun: { type: 'multi', email, promptIds: selectedPromptIds, quickNotes, variants: variantOptions },
       });
       
       // Clear quick notes after use (unless "keep" is checked)
@@ -654,6 +809,12 @@ function App() {
         setQuickNotes('');
       }
       
+      // Several drafts: the user picks one in the compare view instead of auto-opening the first
+      if (aiResult.variants?.length > 1) {
+        showMessage('success', `⚡ One Shot: ${aiResult.variants.length} drafts ready - pick one to open in Outlook`);
+        return;
+      }
+      
       showMessage('info', '⚡ One Shot: AI complete - Opening in Outlook...');
       
       // Step 3: Send to Outlook
@@ -664,10 +825,11 @@ function App() {
         return;
       }
       
-      const outlookResult = await window.electronAPI.createReplyInOutlook(
+      const outlookResult = await createReply(
         email.entryId,
         aiResult.content,
-        true // reply all - includes CC recipients
+        true, // reply all - includes CC recipients
+        aiResult.sources
       );
       
       if (outlookResult.success) {
@@ -682,6 +844,7 @@ function App() {
     } finally {
       setLoading(prev => ({ ...prev, active: false, ai: false }));
       setOneShotStatus(null);
+      setActiveJobId(null);
     }
   };
 
@@ -692,7 +855,7 @@ function App() {
       return;
     }
 
-    if (!aiSettings?.hasApiKey && aiSettings?.provider !== 'ollama') {
+    if (!aiSettings?.hasApiKey && aiSettings?.requiresApiKey !== false) {
       showMessage('warning', 'Please configure your AI settings first (click the gear icon)');
       return;
     }
@@ -725,10 +888,21 @@ function App() {
       // Update status as processing progresses
       setSmartShotStatus('analyzing');
       
-      const result = await window.electronAPI.smartShot(email, selectedPromptIds, quickNotes);
+      // The final draft streams into the result panel once attachments are analyzed
+      const jobId = createJobId();
+      setActiveJobId(jobId);
+      setAiResult({ type: 'smart-shot', content: '', email: email.subject, streaming: true, streamId: jobId });
+      
+      const result = await window.electronAPI.smartShot(email, selectedPromptIds, quickNotes, jobId, false, variantOptions);
+      setActiveJobId(null);
       
       if (!result.success) {
-        showMessage('error', result.error || 'Smart Shot failed');
+        setAiResult(null);
+        if (result.cancelled) {
+          showMessage('info', '🧠 Smart Shot cancelled');
+        } else {
+          showMessage('error', result.error || 'Smart Shot failed');
+        }
         return;
       }
       
@@ -745,13 +919,27 @@ function App() {
         setAiResult({
           type: 'smart-shot',
           content: result.aiResult.content,
+          toolCalls: result.aiResult.toolCalls,
+          sources: result.aiResult.sources,
+          injectionWarnings: result.injectionWarnings,
+          profile: result.aiResult.profile,
+          contactRules: result.aiResult.contactRules,
           email: email.subject,
           usedPrompts: result.usedPrompts || [],
+          request: result.request,
           hadQuickNotes: result.hadQuickNotes,
           attachmentCount: result.attachmentSummaries?.length || 0,
+          answeredBy: result.aiResult.answeredBy,
+          chunksProcessed: result.aiResult.chunksProcessed,
+          cachedAt: result.aiResult.cachedAt,
+          generationConflicts: result.generationConflicts,
+          variants: result.aiResult.variants,
+          chosenVariant: 0,
+          rerun: { type: 'smart-shot', email, promptIds: selectedPromptIds, quickNotes, variants: variantOptions },
         });
       } else {
-        showMessage('error', result.aiResult?.error || 'AI processing failed');
+        setAiResult(null);
+        showMessage(result.aiResult?.queued ? 'warning' : 'error', result.aiResult?.error || 'AI processing failed');
         return;
       }
       
@@ -760,6 +948,11 @@ function App() {
         setQuickNotes('');
       }
       
+      if (result.aiResult.variants?.length > 1) {
+        showMessage('success', `🧠 Smart Shot: ${result.aiResult.variants.length} drafts ready - pick one to open in Outlook`);
+        return;
+      }
+      
       showMessage('info', '🧠 Smart Shot: AI complete - Opening in Outlook...');
       
       // Step 3: Send to Outlook
@@ -770,10 +963,11 @@ function App() {
         return;
       }
       
-      const outlookResult = await window.electronAPI.createReplyInOutlook(
+      const outlookResult = await createReply(
         email.entryId,
         result.aiResult.content,
-        true // reply all - includes CC recipients
+        true, // reply all - includes CC recipients
+        result.aiResult.sources
       );
       
       if (outlookResult.success) {
@@ -788,6 +982,80 @@ function App() {
     } finally {
       setLoading(prev => ({ ...prev, active: false, ai: false }));
       setSmartShotStatus(null);
+      setActiveJobId(null);
+    }
+  };
+
+  // Re-run the request behind the current result without the response cache.
+  // Unlike One Shot / Smart Shot this only refreshes the result panel - nothing is sent to Outlook.
+  const handleRegenerate = async () => {
+    const rerun = aiResult?.rerun;
+    if (!rerun || activeJobId) return;
+    
+    const { type, email, promptIds } = rerun;
+    setLoading(prev => ({ ...prev, ai: true }));
+    
+    const jobId = createJobId();
+    setActiveJobId(jobId);
+    setAiResult({ type, content: '', email: email.subject, streaming: true, streamId: jobId });
+    
+    try {
+      const result = type === 'smart-shot'
+        ? await window.electronAPI.smartShot(email, promptIds, rerun.quickNotes, jobId, true, rerun.variants)
+        : await window.electronAPI.processWithMultiPrompts(promptIds, email, rerun.quickNotes, jobId, true, rerun.variants);
+      const answer = type === 'smart-shot' ? result.aiResult : result;
+      
+      if (result.success && answer?.success) {
+        if (type === 'smart-shot') {
+          setAttachmentSummaries(result.attachmentSummaries || []);
+        }
+        setAiResult({
+          type,
+          content: answer.content,
+          data: answer.data,
+          toolCalls: answer.toolCalls,
+          sources: answer.sources,
+          injectionWarnings: result.injectionWarnings,
+          profile: answer.profile,
+          contactRules: answer.contactRules,
+          email: email.subject,
+          usedPrompts: result.usedPrompts || [],
+          request: result.request,
+          hadQuickNotes: result.hadQuickNotes,
+          attachmentCount: result.attachmentSummaries?.length || 0,
+          answeredBy: answer.answeredBy,
+          chunksProcessed: answer.chunksProcessed,
+          generationConflicts: result.generationConflicts,
+          variants: answer.variants,
+          chosenVariant: 0,
+          rerun,
+        });
+        showMessage('success', 'Response regenerated');
+      } else if (result.cancelled || answer?.cancelled) {
+        setAiResult(null);
+        showMessage('info', 'AI run cancelled');
+      } else {
+        setAiResult(null);
+        showMessage('error', answer?.error || result.error || 'Failed to regenerate');
+      }
+    } catch (error) {
+      console.error('Error regenerating:', error);
+      setAiResult(null);
+      showMessage('error', `Error: ${error.message}`);
+    } finally {
+      setLoading(prev => ({ ...prev, ai: false }));
+      setActiveJobId(null);
+    }
+  };
+
+  // Cancel the running AI job - the pending handler resolves with { cancelled: true }
+  const handleCancelJob = async () => {
+    if (!isElectron || !activeJobId) return;
+    
+    try {
+      await window.electronAPI.cancelJob(activeJobId);
+    } catch (error) {
+      showMessage('error', `Cancel failed: ${error.message}`);
     }
   };
 
@@ -859,6 +1127,18 @@ function App() {
     }
   };
 
+  // Header profile switcher
+  const handleSwitchProfile = async (profileId) => {
+    if (!isElectron) return;
+    
+    const result = await window.electronAPI.setActiveProfile(profileId);
+    if (result.success) {
+      setAiSettings(prev => ({ ...prev, activeProfileId: result.activeProfileId }));
+    } else {
+      showMessage('error', result.error || 'Could not switch profile');
+    }
+  };
+
   // AI Processing Functions
   const handleSaveSettings = async (settings) => {
     if (!isElectron) return;
@@ -870,7 +1150,7 @@ function App() {
         setAiSettings(newSettings);
         setStatus(prev => ({
           ...prev,
-          ai: newSettings.hasApiKey || newSettings.provider === 'ollama' ? 'online' : 'offline',
+          ai: newSettings.hasApiKey || newSettings.requiresApiKey === false ? 'online' : 'offline',
         }));
       }
     } catch (error) {
@@ -919,6 +1199,26 @@ function App() {
     }
   };
 
+  // Show the redacted request the selected prompts would send for the current email
+  const handlePreviewRedaction = async () => {
+    const email = activeEmail || selectedEmail;
+    if (!email) {
+      showMessage('warning', 'Please select an email first');
+      return;
+    }
+    
+    try {
+      const result = await window.electronAPI.previewRedaction(selectedPromptIds, email, quickNotes);
+      if (result.success) {
+        setRedactionPreview(result);
+      } else {
+        showMessage('error', result.error || 'Preview failed');
+      }
+    } catch (error) {
+      showMessage('error', `Error: ${error.message}`);
+    }
+  };
+
   // Handle multi-prompt AI action (new main handler)
   const handleMultiPromptAction = async () => {
     setAiMenuAnchor(null);
@@ -929,24 +1229,43 @@ function App() {
       return;
     }
     
-    if (!aiSettings?.hasApiKey && aiSettings?.provider !== 'ollama') {
+    if (!aiSettings?.hasApiKey && aiSettings?.requiresApiKey !== false) {
       showMessage('warning', 'Please configure your AI settings first (click the gear icon)');
       return;
     }
 
     setLoading(prev => ({ ...prev, ai: true }));
-    setAiResult(null);
+    
+    const jobId = createJobId();
+    setActiveJobId(jobId);
+    setAiResult({ type: 'multi', content: '', email: email.subject, streaming: true, streamId: jobId });
     
     try {
-      const result = await window.electronAPI.processWithMultiPrompts(selectedPromptIds, email, quickNotes);
+      const result = await window.electronAPI.processWithMultiPrompts(
+        selectedPromptIds, email, quickNotes, jobId, false, variantOptions
+      );
       
       if (result.success) {
         setAiResult({
           type: 'multi',
           content: result.content,
+          data: result.data,
+          toolCalls: result.toolCalls,
+          sources: result.sources,
+          injectionWarnings: result.injectionWarnings,
+          profile: result.profile,
+          contactRules: result.contactRules,
           email: email.subject,
           usedPrompts: result.usedPrompts || [],
+          request: result.request,
           hadQuickNotes: result.hadQuickNotes,
+          answeredBy: result.answeredBy,
+          chunksProcessed: result.chunksProcessed,
+          cachedAt: result.cachedAt,
+          generationConflicts: result.generationConflicts,
+          variants: result.variants,
+          chosenVariant: 0,
+          rerun: { type: 'multi', email, promptIds: selectedPromptIds, quickNotes, variants: variantOptions },
         });
         
         // Clear quick notes after use (unless "keep" is checked)
@@ -965,14 +1284,20 @@ function App() {
           setAllPrompts(promptsResult.prompts);
           setFavoritePrompts(promptsResult.prompts.filter(p => p.isFavorite));
         }
+      } else if (result.cancelled) {
+        setAiResult(null);
+        showMessage('info', 'AI run cancelled');
       } else {
-        showMessage('error', result.error || 'Failed to process');
+        setAiResult(null);
+        showMessage(result.queued ? 'warning' : 'error', result.error || 'Failed to process');
       }
     } catch (error) {
       console.error('Error with multi-prompt:', error);
+      setAiResult(null);
       showMessage('error', `Error: ${error.message}`);
     } finally {
       setLoading(prev => ({ ...prev, ai: false }));
+      setActiveJobId(null);
     }
   };
 
@@ -988,23 +1313,36 @@ function App() {
       return;
     }
     
-    if (!aiSettings?.hasApiKey && aiSettings?.provider !== 'ollama') {
+    if (!aiSettings?.hasApiKey && aiSettings?.requiresApiKey !== false) {
       showMessage('warning', 'Please configure your AI settings first (click the gear icon)');
       return;
     }
 
     setLoading(prev => ({ ...prev, ai: true }));
-    setAiResult(null);
+    
+    const jobId = createJobId();
+    setActiveJobId(jobId);
+    setAiResult({ type: 'multi', content: '', email: email.subject, streaming: true, streamId: jobId });
     
     try {
-      const result = await window.electronAPI.processWithMultiPrompts([promptId], email);
+      const result = await window.electronAPI.processWithMultiPrompts([promptId], email, '', jobId);
       
       if (result.success) {
         setAiResult({
           type: 'multi',
           content: result.content,
+          data: result.data,
+          toolCalls: result.toolCalls,
+          sources: result.sources,
+          injectionWarnings: result.injectionWarnings,
+          profile: result.profile,
+          contactRules: result.contactRules,
           email: email.subject,
           usedPrompts: result.usedPrompts || [],
+          request: result.request,
+          answeredBy: result.answeredBy,
+          cachedAt: result.cachedAt,
+          rerun: { type: 'multi', email, promptIds: [promptId], quickNotes: '' },
         });
         showMessage('success', 'AI completed!');
         
@@ -1014,14 +1352,20 @@ function App() {
           setAllPrompts(promptsResult.prompts);
           setFavoritePrompts(promptsResult.prompts.filter(p => p.isFavorite));
         }
+      } else if (result.cancelled) {
+        setAiResult(null);
+        showMessage('info', 'AI run cancelled');
       } else {
+        setAiResult(null);
         showMessage('error', result.error || 'Failed to process with custom prompt');
       }
     } catch (error) {
       console.error('Error with custom prompt:', error);
+      setAiResult(null);
       showMessage('error', `Error: ${error.message}`);
     } finally {
       setLoading(prev => ({ ...prev, ai: false }));
+      setActiveJobId(null);
     }
   };
 
@@ -1034,7 +1378,7 @@ function App() {
       return;
     }
 
-    if (!aiSettings?.hasApiKey && aiSettings?.provider !== 'ollama') {
+    if (!aiSettings?.hasApiKey && aiSettings?.requiresApiKey !== false) {
       showMessage('warning', 'Please configure your AI settings first (click the gear icon)');
       setSettingsOpen(true);
       return;
@@ -1059,13 +1403,21 @@ function App() {
           prompt = 'Please summarize this email.';
       }
 
-      const result = await window.electronAPI.processWithAI(prompt, email);
+      // Only drafted replies come in alternatives - summaries and insights stay single
+      const result = await window.electronAPI.processWithAI(prompt, email, action === 'reply' ? variantOptions : {});
       
       if (result.success) {
         setAiResult({
           type: action,
           content: result.content,
           email: email.subject,
+          answeredBy: result.answeredBy,
+          sources: result.sources,
+          injectionWarnings: result.injectionWarnings,
+          profile: result.profile,
+          contactRules: result.contactRules,
+          variants: result.variants,
+          chosenVariant: 0,
         });
         showMessage('success', `AI ${action} completed! See result above the email.`);
         
@@ -1077,7 +1429,7 @@ function App() {
           }
         }, 100);
       } else {
-        showMessage('error', result.error || 'AI processing failed');
+        showMessage(result.queued ? 'warning' : 'error', result.error || 'AI processing failed');
       }
     } catch (error) {
       showMessage('error', `Error: ${error.message}`);
@@ -1086,6 +1438,13 @@ function App() {
     }
   };
 
+  // Pick a draft from the compare view - it becomes the result that is copied and sent to Outlook
+  const chooseVariant = (index) => {
+    setAiResult(prev => (prev?.variants?.[index]
+      ? { ...prev, content: prev.variants[index].content, chosenVariant: index }
+      : prev));
+  };
+
   const copyAIResult = () => {
     if (aiResult?.content) {
       navigator.clipboard.writeText(aiResult.content);
@@ -1093,9 +1452,9 @@ function App() {
     }
   };
 
-  // Send AI draft reply to Outlook
-  const sendDraftToOutlook = async (replyAll = true) => {
-    if (!isElectron || !aiResult?.content) return;
+  // Send AI draft reply to Outlook (content: a draft from the compare view, defaults to the result)
+  const sendDraftToOutlook = async (replyAll = true, content = aiResult?.content) => {
+    if (!isElectron || !content) return;
     
     const email = activeEmail || selectedEmail;
     if (!email?.entryId) {
@@ -1105,11 +1464,7 @@ function App() {
 
     try {
       showMessage('info', 'Opening reply in Outlook...');
-      const result = await window.electronAPI.createReplyInOutlook(
-        email.entryId,
-        aiResult.content,
-        replyAll
-      );
+      const result = await createReply(email.entryId, content, replyAll, aiResult?.sources);
       
       if (result.success) {
         showMessage('success', 'Reply opened in Outlook! Review and send when ready.');
@@ -1121,6 +1476,9 @@ function App() {
     }
   };
 
+  // About You / company context of the active profile (Default = the top-level settings)
+  const activeContext = aiSettings?.profiles?.find(profile => profile.id === aiSettings.activeProfileId) || aiSettings;
+
   const StatusDot = ({ status: dotStatus }) => (
     <CircleIcon
       sx={{
@@ -1222,7 +1580,7 @@ function App() {
               <Stack direction="row" spacing={1}>
                 <Chip
                   icon={<StatusDot status={status.outlook} />}
-                  label={`Outlook ${status.outlook === 'online' ? 'Connected' : status.outlook === 'pending' ? 'Checking...' : 'Disconnected'}`}
+                  label={`${status.mailSource} ${status.outlook === 'online' ? 'Connected' : status.outlook === 'pending' ? 'Checking...' : 'Disconnected'}`}
                   size="small"
                   sx={{
                     background: '#27272a',
@@ -1240,6 +1598,24 @@ function App() {
                 />
               </Stack>
 
+              {/* Context Profile Switcher */}
+              {aiSettings?.profiles?.length > 0 && (
+                <Tooltip title="Context profile used for AI requests (rules may pick another one per email)" placement="bottom">
+                  <Select
+                    size="small"
+                    value={aiSettings.activeProfileId || 'default'}
+                    onChange={(e) => handleSwitchProfile(e.target.value)}
+                    renderValue={(value) => `👤 ${value === 'default' ? 'Default' : aiSettings.profiles.find(profile => profile.id === value)?.name || 'Default'}`}
+                    sx={{ minWidth: 160, fontSize: '0.85rem', background: '#27272a' }}
+                  >
+                    <MenuItem value="default">Default</MenuItem>
+                    {aiSettings.profiles.map(profile => (
+                      <MenuItem key={profile.id} value={profile.id}>{profile.name}</MenuItem>
+                    ))}
+                  </Select>
+                </Tooltip>
+              )}
+
               {/* Clear All Button */}
               <Button
                 variant="outlined"
@@ -1364,6 +1740,18 @@ function App() {
                 iconPosition="start"
                 label="Prompts"
               />
+              <Tab
+                icon={<QueueIcon sx={{ fontSize: 20 }} />}
+                iconPosition="start"
+                label={`Queue ${queuedJobs.some(job => job.status !== 'done')
+                  ? `(${queuedJobs.filter(job => job.status !== 'done').length})`
+                  : ''}`}
+              />
+              <Tab
+                icon={<HistoryIcon sx={{ fontSize: 20 }} />}
+                iconPosition="start"
+                label="History"
+              />
             </Tabs>
           </Box>
 
@@ -1468,6 +1856,53 @@ function App() {
                       </Box>
                     </Box>
                     
+                    {/* Alternative drafts to compare (One Shot / Smart Shot / Run AI / Draft Reply) */}
+                    <Stack direction="row" spacing={1} alignItems="center" sx={{ flexWrap: 'wrap', gap: 0.5 }}>
+                      <Typography variant="caption" sx={{ color: '#71717a', fontWeight: 600 }}>
+                        Drafts:
+                      </Typography>
+                      {[1, 2, 3, 4, 5].map(count => (
+                        <Chip
+                          key={count}
+                          label={count}
+                          size="small"
+                          onClick={() => setVariantOptions(prev => ({ ...prev, count }))}
+                          sx={{
+                            minWidth: 32,
+                            cursor: 'pointer',
+                            fontWeight: 600,
+                            background: variantOptions.count === count ? 'rgba(249, 115, 22, 0.3)' : '#27272a',
+                            color: variantOptions.count === count ? 'primary.main' : '#a1a1aa',
+                          }}
+                        />
+                      ))}
+                      {variantOptions.count > 1 && (
+                        <Tooltip title="Give each draft its own tone (Concise, Warm, Formal...) instead of only varying the temperature">
+                          <Chip
+                            label="🎨 Vary tone"
+                            size="small"
+                            onClick={() => setVariantOptions(prev => ({ ...prev, varyTone: !prev.varyTone }))}
+                            sx={{
+                              cursor: 'pointer',
+                              fontWeight: 600,
+                              background: variantOptions.varyTone ? 'rgba(168, 85, 247, 0.3)' : '#27272a',
+                              color: variantOptions.varyTone ? '#c084fc' : '#a1a1aa',
+                            }}
+                          />
+                        </Tooltip>
+                      )}
+                      {(activeEmail || selectedEmail) && (
+                        <Tooltip title="Show exactly what the selected prompts would send to the AI provider, after PII redaction">
+                          <Chip
+                            label="🛡️ Preview what's sent"
+                            size="small"
+                            onClick={handlePreviewRedaction}
+                            sx={{ cursor: 'pointer', fontWeight: 600, background: '#27272a', color: '#a1a1aa', ml: 'auto' }}
+                          />
+                        </Tooltip>
+                      )}
+                    </Stack>
+                    
                     {/* Warning if prompts not selected */}
                     {(oneShotMode || smartShotMode) && selectedPromptIds.length === 0 && (
                       <Chip 
@@ -1570,6 +2005,18 @@ function App() {
                         </>
                       )}
                       
+                      {/* Cancel the running AI job */}
+                      {activeJobId && (
+                        <Button
+                          variant="outlined"
+                          color="error"
+                          startIcon={<StopIcon />}
+                          onClick={handleCancelJob}
+                        >
+                          Cancel
+                        </Button>
+                      )}
+                      
                       {/* Quick Actions Dropdown */}
                       <Button
                         variant="outlined"
@@ -1679,16 +2126,26 @@ function App() {
                               {aiResult.type === 'insights' && '💡 Insights'}
                               {aiResult.type === 'custom' && '✨ Custom Prompt'}
                               {aiResult.type === 'multi' && '🎯 AI Response'}
+                              {aiResult.type === 'smart-shot' && '🧠 Smart Shot Response'}
                             </Typography>
-                            <Chip 
-                              label={aiSettings?.model || 'AI'} 
-                              size="small" 
-                              sx={{ 
-                                background: 'rgba(249, 115, 22, 0.3)',
-                                color: 'primary.main',
-                                fontWeight: 600,
-                              }} 
-                            />
+                            {/* Provider/model that actually answered (may be a fallback) */}
+                            <Tooltip
+                              title={aiResult.answeredBy
+                                ? `${aiResult.answeredBy.providerName}${aiResult.answeredBy.fallback ? ' (fallback - primary provider failed)' : ''}`
+                                : ''}
+                            >
+                              <Chip 
+                                label={aiResult.answeredBy
+                                  ? `${aiResult.answeredBy.fallback ? '↪ ' : ''}${aiResult.answeredBy.model || aiResult.answeredBy.providerName}`
+                                  : (aiSettings?.model || 'AI')} 
+                                size="small" 
+                                sx={{ 
+                                  background: aiResult.answeredBy?.fallback ? 'rgba(234, 179, 8, 0.25)' : 'rgba(249, 115, 22, 0.3)',
+                                  color: aiResult.answeredBy?.fallback ? '#facc15' : 'primary.main',
+                                  fontWeight: 600,
+                                }} 
+                              />
+                            </Tooltip>
                             {aiResult.usedPrompts && aiResult.usedPrompts.length > 0 && (
                               <Chip
                                 label={`${aiResult.usedPrompts.length} prompt${aiResult.usedPrompts.length > 1 ? 's' : ''}`}
@@ -1700,6 +2157,107 @@ function App() {
                                 }}
                               />
                             )}
+                            {aiResult.streaming && (
+                              <Chip
+                                icon={<CircularProgress size={12} color="inherit" />}
+                                label="streaming"
+                                size="small"
+                                sx={{
+                                  background: 'rgba(6, 182, 212, 0.25)',
+                                  color: '#22d3ee',
+                                  fontWeight: 600,
+                                }}
+                              />
+                            )}
+                            {aiResult.chunksProcessed > 1 && (
+                              <Tooltip title="The email thread was too long for the model and was condensed in chunks first">
+                                <Chip
+                                  label={`${aiResult.chunksProcessed} chunks`}
+                                  size="small"
+                                  sx={{
+                                    background: 'rgba(59, 130, 246, 0.2)',
+                                    color: '#60a5fa',
+                                    fontWeight: 600,
+                                  }}
+                                />
+                              </Tooltip>
+                            )}
+                            {aiResult.generationConflicts?.length > 0 && (
+                              <Tooltip
+                                title={aiResult.generationConflicts.map(conflict =>
+                                  `${conflict.field}: ${conflict.values.map(v => `${v.prompt} = ${JSON.stringify(v.value)}`).join(', ')} → used ${JSON.stringify(conflict.resolved)}`
+                                ).join('\n')}
+                                componentsProps={{ tooltip: { sx: { whiteSpace: 'pre-line' } } }}
+                              >
+                                <Chip
+                                  label="settings merged"
+                                  size="small"
+                                  sx={{
+                                    background: 'rgba(59, 130, 246, 0.2)',
+                                    color: '#60a5fa',
+                                    fontWeight: 600,
+                                  }}
+                                />
+                              </Tooltip>
+                            )}
+                            <InjectionWarningChip warnings={aiResult.injectionWarnings} />
+                            {aiResult.profile && aiResult.profile.id !== 'default' && (
+                              <Tooltip title={aiResult.profile.autoSelected ? `Picked automatically by the ${aiResult.profile.matchedRule} rule` : 'Active context profile'}>
+                                <Chip
+                                  label={`👤 ${aiResult.profile.name}${aiResult.profile.autoSelected ? ' (auto)' : ''}`}
+                                  size="small"
+                                  sx={{
+                                    background: 'rgba(168, 85, 247, 0.3)',
+                                    color: '#c084fc',
+                                    fontWeight: 600,
+                                  }}
+                                />
+                              </Tooltip>
+                            )}
+                            {aiResult.contactRules?.length > 0 && (
+                              <Tooltip
+                                title={aiResult.contactRules.map(rule =>
+                                  `${rule.type} ${rule.value}: ${[rule.instructions, rule.tone && `${rule.tone} tone`, rule.provider && `always ${rule.provider}`].filter(Boolean).join(' · ')}`
+                                ).join('\n')}
+                                componentsProps={{ tooltip: { sx: { whiteSpace: 'pre-line' } } }}
+                              >
+                                <Chip
+                                  label={`📋 ${aiResult.contactRules.length} contact rule${aiResult.contactRules.length === 1 ? '' : 's'}`}
+                                  size="small"
+                                  sx={{
+                                    background: 'rgba(249, 115, 22, 0.15)',
+                                    color: '#fb923c',
+                                    fontWeight: 600,
+                                  }}
+                                />
+                              </Tooltip>
+                            )}
+                            {aiResult.cachedAt && (
+                              <Tooltip title={`Cached answer from ${new Date(aiResult.cachedAt).toLocaleString()} - regenerate to ask the AI again`}>
+                                <Chip
+                                  label="cached"
+                                  size="small"
+                                  sx={{
+                                    background: 'rgba(113, 113, 122, 0.25)',
+                                    color: '#a1a1aa',
+                                    fontWeight: 600,
+                                  }}
+                                />
+                              </Tooltip>
+                            )}
+                            {aiResult.savedAt && (
+                              <Tooltip title={`Saved result from ${new Date(aiResult.savedAt).toLocaleString()}`}>
+                                <Chip
+                                  label="from history"
+                                  size="small"
+                                  sx={{
+                                    background: 'rgba(113, 113, 122, 0.25)',
+                                    color: '#a1a1aa',
+                                    fontWeight: 600,
+                                  }}
+                                />
+                              </Tooltip>
+                            )}
                             {aiResult.hadQuickNotes && (
                               <Chip
                                 label="+ quick notes"
@@ -1720,6 +2278,7 @@ function App() {
                                 size="small"
                                 startIcon={<OpenInOutlookIcon />}
                                 onClick={() => sendDraftToOutlook(true)}
+                                disabled={aiResult.streaming}
                                 sx={{
                                   background: 'linear-gradient(135deg, #22c55e 0%, #16a34a 100%)',
                                   '&:hover': {
@@ -1730,6 +2289,20 @@ function App() {
                                   Open in Outlook
                                 </Button>
                               </Tooltip>
+                            {aiResult.rerun && (
+                              <Tooltip title="Regenerate (bypass cache)">
+                                <span>
+                                  <IconButton
+                                    onClick={handleRegenerate}
+                                    size="small"
+                                    disabled={aiResult.streaming || !!activeJobId}
+                                    sx={{ color: 'primary.main' }}
+                                  >
+                                    <RegenerateIcon />
+                                  </IconButton>
+                                </span>
+                              </Tooltip>
+                            )}
                             <Tooltip title="Copy to clipboard">
                               <IconButton onClick={copyAIResult} size="small" sx={{ color: 'primary.main' }}>
                                 <CopyIcon />
@@ -1743,23 +2316,108 @@ function App() {
                           </Stack>
                         </Stack>
                         <Divider sx={{ mb: 2, borderColor: 'rgba(249, 115, 22, 0.3)' }} />
-                        <Box
-                          sx={{
-                            p: 2.5,
-                            background: 'rgba(15, 15, 18, 0.8)',
-                            borderRadius: 2,
-                            maxHeight: 350,
-                            overflow: 'auto',
-                            fontFamily: '"Plus Jakarta Sans", sans-serif',
-                            fontSize: '0.95rem',
-                            lineHeight: 1.9,
-                            whiteSpace: 'pre-wrap',
-                            wordBreak: 'break-word',
-                            color: '#e4e4e7',
-                          }}
-                        >
-                          {aiResult.content}
-                        </Box>
+                        {/* Mailbox lookups the AI made while answering (tool calling) */}
+                        {aiResult.toolCalls?.length > 0 && (
+                          <Box sx={{ mb: 2, p: 1.5, background: 'rgba(15, 15, 18, 0.6)', borderRadius: 2, border: '1px solid #27272a' }}>
+                            <Typography variant="caption" sx={{ display: 'block', color: '#a1a1aa', fontWeight: 600, mb: 0.5 }}>
+                              🔎 Looked up in Outlook ({aiResult.toolCalls.length})
+                            </Typography>
+                            {aiResult.toolCalls.map((call, index) => (
+                              <Tooltip
+                                key={index}
+                                title={`${call.name}(${JSON.stringify(call.arguments)})${call.durationMs != null ? ` - ${call.durationMs} ms` : ''}`}
+                                placement="top-start"
+                              >
+                                <Stack direction="row" spacing={1} alignItems="center" sx={{ py: 0.25 }}>
+                                  <Chip
+                                    label={call.name}
+                                    size="small"
+                                    sx={{
+                                      height: 18,
+                                      fontSize: '0.65rem',
+                                      fontFamily: 'monospace',
+                                      background: call.success ? 'rgba(59, 130, 246, 0.2)' : 'rgba(239, 68, 68, 0.2)',
+                                      color: call.success ? '#60a5fa' : '#f87171',
+                                    }}
+                                  />
+                                  <Typography variant="caption" sx={{ color: call.success ? '#e4e4e7' : '#f87171' }} noWrap>
+                                    {call.summary}
+                                  </Typography>
+                                </Stack>
+                              </Tooltip>
+                            ))}
+                          </Box>
+                        )}
+                        {/* Knowledge base passages the answer could cite as [n] */}
+                        {aiResult.sources?.length > 0 && (
+                          <Box sx={{ mb: 2, p: 1.5, background: 'rgba(15, 15, 18, 0.6)', borderRadius: 2, border: '1px solid #27272a' }}>
+                            <Typography variant="caption" sx={{ display: 'block', color: '#a1a1aa', fontWeight: 600, mb: 0.5 }}>
+                              📚 Company knowledge used ({aiResult.sources.length})
+                            </Typography>
+                            {aiResult.sources.map((source) => {
+                              const cited = getCitedSourceIds(aiResult.content).has(source.id);
+                              return (
+                                <Tooltip
+                                  key={source.id}
+                                  title={`${source.path || source.name}\n\n${source.excerpt}`}
+                                  placement="top-start"
+                                  componentsProps={{ tooltip: { sx: { whiteSpace: 'pre-line', maxWidth: 480 } } }}
+                                >
+                                  <Stack direction="row" spacing={1} alignItems="center" sx={{ py: 0.25, opacity: cited ? 1 : 0.6 }}>
+                                    <Chip
+                                      label={`[${source.id}]`}
+                                      size="small"
+                                      sx={{
+                                        height: 18,
+                                        fontSize: '0.65rem',
+                                        fontFamily: 'monospace',
+                                        background: cited ? 'rgba(168, 85, 247, 0.3)' : '#27272a',
+                                        color: cited ? '#c084fc' : '#a1a1aa',
+                                      }}
+                                    />
+                                    <Typography variant="caption" sx={{ color: '#e4e4e7' }} noWrap>
+                                      {source.name}{cited ? '' : ' (not cited)'}
+                                    </Typography>
+                                  </Stack>
+                                </Tooltip>
+                              );
+                            })}
+                          </Box>
+                        )}
+                        {/* Structured (JSON schema) prompts - the text below is hidden when every prompt was structured */}
+                        <StructuredResult data={aiResult.data} showMessage={showMessage} />
+                        {/* Alternative drafts side by side - the chosen one replaces the text below */}
+                        <VariantCompare
+                          variants={aiResult.variants}
+                          chosenIndex={aiResult.chosenVariant || 0}
+                          onChoose={chooseVariant}
+                          onOpenInOutlook={(content) => sendDraftToOutlook(true, content)}
+                          showMessage={showMessage}
+                        />
+                        {!(aiResult.data?.length > 0 && aiResult.data.length === aiResult.usedPrompts?.length)
+                          && !(aiResult.variants?.length > 1) && (
+                          <Box
+                            sx={{
+                              p: 2.5,
+                              background: 'rgba(15, 15, 18, 0.8)',
+                              borderRadius: 2,
+                              maxHeight: 350,
+                              overflow: 'auto',
+                              fontFamily: '"Plus Jakarta Sans", sans-serif',
+                              fontSize: '0.95rem',
+                              lineHeight: 1.9,
+                              whiteSpace: 'pre-wrap',
+                              wordBreak: 'break-word',
+                              color: '#e4e4e7',
+                            }}
+                          >
+                            {aiResult.content || (aiResult.streaming && (
+                              <Typography component="span" sx={{ color: '#71717a', fontStyle: 'italic' }}>
+                                Waiting for AI response...
+                              </Typography>
+                            ))}
+                          </Box>
+                        )}
                         <Box sx={{ mt: 1.5 }}>
                           <Typography variant="caption" sx={{ display: 'block', color: 'text.secondary' }}>
                             Generated for: "{aiResult.email}"
@@ -1788,6 +2446,9 @@ function App() {
                       </Paper>
                     )}
 
+                    {/* Follow-up conversation on the result, restored per email */}
+                    <FollowUpChat email={activeEmail} aiResult={aiResult} showMessage={showMessage} createReply={createReply} />
+
                     {/* Attachment Summaries Panel */}
                     {attachmentSummaries.length > 0 && (
                       <Paper
@@ -1847,9 +2508,9 @@ function App() {
                                     height: 20,
                                   }}
                                 />
-                                {att.charCount && (
+                                {(att.charCount > 0 || att.imagesIncluded > 0) && (
                                   <Typography variant="caption" sx={{ color: '#71717a' }}>
-                                    ({Math.round(att.charCount / 1000)}k chars)
+                                    ({Math.round(att.charCount / 1000)}k chars{att.chunks > 1 ? `, ${att.chunks} chunks` : ''}{att.imagesIncluded > 0 ? `, ${att.imagesIncluded} image${att.imagesIncluded > 1 ? 's' : ''}` : ''})
                                   </Typography>
                                 )}
                               </Stack>
@@ -1892,9 +2553,11 @@ function App() {
                       No Active Email
                     </Typography>
                     <Typography variant="body2" sx={{ color: '#71717a' }}>
-                      {status.outlook === 'online' 
-                        ? 'Select an email in Outlook and click "Fetch Active Email"'
-                        : 'Please open Outlook and select an email'}
+                      {mailBackend === 'file'
+                        ? 'Put .eml, .mbox or .msg files in the inbox of the mail folder and click "Fetch Active Email"'
+                        : status.outlook === 'online' 
+                          ? 'Select an email in Outlook and click "Fetch Active Email"'
+                          : 'Please open Outlook and select an email'}
                     </Typography>
                   </Paper>
                 )}
@@ -1907,9 +2570,9 @@ function App() {
                     prompts={allPrompts}
                     selectedPromptIds={selectedPromptIds}
                     setSelectedPromptIds={setSelectedPromptIds}
-                    hasPersonalContext={Boolean(aiSettings?.globalContext?.enabled !== false && (aiSettings?.globalContext?.name || aiSettings?.globalContext?.customNotes))}
-                    personalContextEnabled={aiSettings?.globalContext?.enabled !== false}
-                    companyContextEnabled={aiSettings?.companyContext?.enabled && !!aiSettings?.companyContext?.content}
+                    hasPersonalContext={Boolean(activeContext?.globalContext?.enabled !== false && (activeContext?.globalContext?.name || activeContext?.globalContext?.customNotes))}
+                    personalContextEnabled={activeContext?.globalContext?.enabled !== false}
+                    companyContextEnabled={activeContext?.companyContext?.enabled && !!activeContext?.companyContext?.content}
                     presets={presets}
                     onSavePreset={handleSavePreset}
                     onLoadPreset={handleLoadPreset}
@@ -2019,10 +2682,26 @@ function App() {
                 }}
               />
             </TabPanel>
+
+            {/* Offline Queue Tab */}
+            <TabPanel value={tabValue} index={5}>
+              <QueueTab jobs={queuedJobs} showMessage={showMessage} createReply={createReply} />
+            </TabPanel>
+
+            {/* AI History Tab */}
+            <TabPanel value={tabValue} index={6}>
+              <HistoryTab showMessage={showMessage} createReply={createReply} onReopen={handleReopenFromHistory} />
+            </TabPanel>
           </Box>
         </Paper>
       </Container>
 
+      {/* Flagged draft review before opening it in Outlook */}
+      <DraftSafetyDialog review={draftReview} onDecide={handleDraftReviewDecision} />
+
+      {/* Redacted request preview */}
+      <RedactionPreview preview={redactionPreview} onClose={() => setRedactionPreview(null)} />
+
       {/* Settings Dialog */}
       <Settings
         open={settingsOpen}
@@ -34,6 +34,7 @@ import {
   Lightbulb as InsightIcon,
   Chat as TalkingIcon,
 } from '@mui/icons-material';
+import ContactRules from './ContactRules';
 
 function ContactCard({ email, senderName, onClose, showMessage }) {
   const [loading, setLoading] = useState({ contact: true, history: false, research: false });
@@ -289,6 +290,9 @@ function ContactCard({ email, senderName, onClose, showMessage }) {
               )}
             </Stack>
 
+            {/* Contact Rules - instructions, tone and provider for AI requests about this contact */}
+            <ContactRules email={email} categories={contactData?.categories} showMessage={showMessage} />
+
             <Divider sx={{ borderColor: '#27272a' }} />
 
             {/* Research Section */}
@@ -0,0 +1,278 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  Typography,
+  Button,
+  IconButton,
+  Stack,
+  Chip,
+  TextField,
+  Tooltip,
+  Select,
+  MenuItem,
+  FormControl,
+  InputLabel,
+  CircularProgress,
+} from '@mui/material';
+import {
+  Add as AddIcon,
+  Edit as EditIcon,
+  Delete as DeleteIcon,
+  Rule as RuleIcon,
+} from '@mui/icons-material';
+
+// Keys match CONTACT_RULE_TYPES / CONTACT_RULE_TONES in main.js
+const RULE_TYPE_LABELS = {
+  sender: 'Sender',
+  domain: 'Domain',
+  category: 'Category',
+};
+const TONES = ['professional', 'friendly', 'casual', 'formal'];
+
+const EMPTY_DRAFT = { type: 'sender', value: '', instructions: '', tone: '', provider: '', model: '' };
+
+// Contact rules that apply to one contact (see CONTACT RULES in main.js): by their address, their
+// domain or one of the Outlook categories of their contact. Rules for other contacts aren't shown.
+function ContactRules({ email, categories, showMessage }) {
+  const [rules, setRules] = useState([]);
+  const [providers, setProviders] = useState([]);
+  const [draft, setDraft] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const address = email && email.includes('@') && !email.startsWith('/O=') ? email.toLowerCase() : '';
+  const domain = address ? address.split('@')[1] : '';
+  const categoryList = (categories || '').split(/[,;]/).map(category => category.trim()).filter(Boolean);
+
+  useEffect(() => {
+    if (!window.electronAPI) return;
+
+    window.electronAPI.getContactRules()
+      .then(result => setRules(result.rules || []))
+      .catch(error => console.error('Error loading contact rules:', error));
+    window.electronAPI.getAIProviders()
+      .then(result => setProviders(result.providers || []))
+      .catch(error => console.error('Error loading AI providers:', error));
+  }, []);
+
+  useEffect(() => {
+    setDraft(null);
+  }, [email]);
+
+  const applies = (rule) => {
+    if (rule.type === 'sender') return rule.value === address;
+    if (rule.type === 'domain') return !!domain && (domain === rule.value || domain.endsWith(`.${rule.value}`));
+    return categoryList.some(category => category.toLowerCase() === rule.value.toLowerCase());
+  };
+  const contactRules = rules.filter(applies);
+
+  // The value is fixed by the contact: their address, their domain or one of their categories
+  const valueFor = (type) => {
+    if (type === 'sender') return address;
+    if (type === 'domain') return domain;
+    return categoryList[0] || '';
+  };
+  const typeOptions = Object.keys(RULE_TYPE_LABELS).filter(type => (type === 'category' ? categoryList.length > 0 : !!address));
+
+  const handleAdd = () => {
+    const type = typeOptions[0];
+    setDraft({ ...EMPTY_DRAFT, type, value: valueFor(type) });
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      const result = await window.electronAPI.saveContactRule(draft);
+      if (result.success) {
+        setRules(prev => (prev.some(rule => rule.id === result.rule.id)
+          ? prev.map(rule => (rule.id === result.rule.id ? result.rule : rule))
+          : [...prev, result.rule]));
+        setDraft(null);
+        showMessage?.('success', 'Contact rule saved');
+      } else {
+        showMessage?.('error', result.error || 'Could not save the rule');
+      }
+    } catch (error) {
+      showMessage?.('error', 'Could not save the rule');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (id) => {
+    try {
+      const result = await window.electronAPI.deleteContactRule(id);
+      if (result.success) {
+        setRules(prev => prev.filter(rule => rule.id !== id));
+        if (draft?.id === id) setDraft(null);
+      } else {
+        showMessage?.('error', result.error || 'Could not delete the rule');
+      }
+    } catch (error) {
+      showMessage?.('error', 'Could not delete the rule');
+    }
+  };
+
+  const providerName = (id) => providers.find(provider => provider.id === id)?.name || id;
+
+  return (
+    <Box sx={{ p: 1.5, background: '#0f0f12', borderRadius: 1, border: '1px solid #27272a' }}>
+      <Stack direction="row" alignItems="center" spacing={1} sx={{ mb: contactRules.length > 0 || draft ? 1.5 : 0 }}>
+        <RuleIcon sx={{ fontSize: 16, color: '#71717a' }} />
+        <Typography variant="caption" sx={{ color: '#71717a', flex: 1 }}>
+          AI rules for this contact{contactRules.length === 0 && !draft ? ' - none yet' : ''}
+        </Typography>
+        {!draft && typeOptions.length > 0 && (
+          <Button size="small" startIcon={<AddIcon />} onClick={handleAdd} sx={{ color: '#a1a1aa' }}>
+            Add rule
+          </Button>
+        )}
+      </Stack>
+
+      <Stack spacing={1}>
+        {contactRules.map(rule => (
+          <Box key={rule.id} sx={{ p: 1, border: '1px solid #27272a', borderRadius: 1 }}>
+            <Stack direction="row" alignItems="center" spacing={1}>
+              <Chip
+                label={`${RULE_TYPE_LABELS[rule.type]}: ${rule.value}`}
+                size="small"
+                sx={{ height: 20, fontSize: '0.7rem', background: 'rgba(249, 115, 22, 0.15)', color: '#fb923c' }}
+              />
+              {rule.tone && (
+                <Chip label={`${rule.tone} tone`} size="small" sx={{ height: 20, fontSize: '0.7rem', background: '#27272a', color: '#a1a1aa' }} />
+              )}
+              {rule.provider && (
+                <Chip
+                  label={`always ${providerName(rule.provider)}${rule.model ? ` · ${rule.model}` : ''}`}
+                  size="small"
+                  sx={{ height: 20, fontSize: '0.7rem', background: '#27272a', color: '#a1a1aa' }}
+                />
+              )}
+              <Box sx={{ flex: 1 }} />
+              <Tooltip title="Edit">
+                <IconButton size="small" onClick={() => setDraft({ ...EMPTY_DRAFT, ...rule })}>
+                  <EditIcon sx={{ fontSize: 16 }} />
+                </IconButton>
+              </Tooltip>
+              <Tooltip title="Delete">
+                <IconButton size="small" onClick={() => handleDelete(rule.id)}>
+                  <DeleteIcon sx={{ fontSize: 16 }} />
+                </IconButton>
+              </Tooltip>
+            </Stack>
+            {rule.instructions && (
+              <Typography variant="body2" sx={{ color: '#a1a1aa', fontSize: '0.8rem', mt: 0.5, whiteSpace: 'pre-wrap' }}>
+                {rule.instructions}
+              </Typography>
+            )}
+          </Box>
+        ))}
+
+        {draft && (
+          <Stack spacing={1.5} sx={{ p: 1.5, border: '1px solid #3f3f46', borderRadius: 1 }}>
+            <Stack direction="row" spacing={1.5}>
+              <FormControl size="small" sx={{ minWidth: 140 }} disabled={!!draft.id}>
+                <InputLabel>Applies to</InputLabel>
+                <Select
+                  value={draft.type}
+                  label="Applies to"
+                  onChange={(e) => setDraft(prev => ({ ...prev, type: e.target.value, value: valueFor(e.target.value) }))}
+                >
+                  {(draft.id ? [draft.type] : typeOptions).map(type => (
+                    <MenuItem key={type} value={type}>{RULE_TYPE_LABELS[type]}</MenuItem>
+                  ))}
+                </Select>
+              </FormControl>
+              {draft.type === 'category' && !draft.id ? (
+                <FormControl size="small" fullWidth>
+                  <InputLabel>Category</InputLabel>
+                  <Select
+                    value={draft.value}
+                    label="Category"
+                    onChange={(e) => setDraft(prev => ({ ...prev, value: e.target.value }))}
+                  >
+                    {categoryList.map(category => (
+                      <MenuItem key={category} value={category}>{category}</MenuItem>
+                    ))}
+                  </Select>
+                </FormControl>
+              ) : (
+                <TextField size="small" fullWidth label="Matches" value={draft.value} disabled />
+              )}
+            </Stack>
+            <TextField
+              size="small"
+              fullWidth
+              multiline
+              minRows={2}
+              label="Instructions"
+              value={draft.instructions}
+              onChange={(e) => setDraft(prev => ({ ...prev, instructions: e.target.value }))}
+              placeholder="e.g. Our biggest customer - never commit to delivery dates."
+              inputProps={{ maxLength: 2000 }}
+            />
+            <Stack direction="row" spacing={1.5}>
+              <FormControl size="small" fullWidth>
+                <InputLabel>Tone</InputLabel>
+                <Select
+                  value={draft.tone}
+                  label="Tone"
+                  onChange={(e) => setDraft(prev => ({ ...prev, tone: e.target.value }))}
+                >
+                  <MenuItem value="">Profile default</MenuItem>
+                  {TONES.map(tone => (
+                    <MenuItem key={tone} value={tone} sx={{ textTransform: 'capitalize' }}>{tone}</MenuItem>
+                  ))}
+                </Select>
+              </FormControl>
+              <FormControl size="small" fullWidth>
+                <InputLabel>Provider</InputLabel>
+                <Select
+                  value={draft.provider}
+                  label="Provider"
+                  onChange={(e) => setDraft(prev => ({ ...prev, provider: e.target.value }))}
+                >
+                  <MenuItem value="">Usual providers</MenuItem>
+                  {providers.map(provider => (
+                    <MenuItem key={provider.id} value={provider.id}>{provider.name}</MenuItem>
+                  ))}
+                </Select>
+              </FormControl>
+              {draft.provider && (
+                <TextField
+                  size="small"
+                  fullWidth
+                  label="Model (optional)"
+                  value={draft.model}
+                  onChange={(e) => setDraft(prev => ({ ...prev, model: e.target.value }))}
+                  placeholder={providers.find(provider => provider.id === draft.provider)?.defaultModel || ''}
+                  inputProps={{ maxLength: 100 }}
+                />
+              )}
+            </Stack>
+            {draft.provider && (
+              <Typography variant="caption" sx={{ color: '#71717a' }}>
+                Emails with this contact only go to {providerName(draft.provider)} - fallback providers are not used.
+              </Typography>
+            )}
+            <Stack direction="row" spacing={1} justifyContent="flex-end">
+              <Button size="small" onClick={() => setDraft(null)} sx={{ color: 'text.secondary' }}>
+                Cancel
+              </Button>
+              <Button
+                size="small"
+                variant="contained"
+                onClick={handleSave}
+                disabled={saving || !draft.value || (!draft.instructions.trim() && !draft.tone && !draft.provider)}
+                startIcon={saving ? <CircularProgress size={14} color="inherit" /> : null}
+              >
+                Save rule
+              </Button>
+            </Stack>
+          </Stack>
+        )}
+      </Stack>
+    </Box>
+  );
+}
+
+export default ContactRules;
@@ -0,0 +1,74 @@
+import React from 'react';
+import {
+  Box,
+  Typography,
+  Button,
+  Stack,
+  Chip,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+} from '@mui/material';
+
+const FLAG_LABELS = {
+  url: 'Link',
+  recipient: 'Address',
+  instruction: 'Text',
+};
+
+// Shown when create-reply-in-outlook flags a draft (see checkDraftSafety in main.js).
+// review: { flags } while open; onDecide(true) opens the reply anyway, onDecide(false) keeps it back.
+function DraftSafetyDialog({ review, onDecide }) {
+  return (
+    <Dialog
+      open={!!review}
+      onClose={() => onDecide(false)}
+      maxWidth="sm"
+      fullWidth
+      PaperProps={{ sx: { background: '#18181b', border: '1px solid #27272a' } }}
+    >
+      <DialogTitle>⚠️ Review this draft before it goes to Outlook</DialogTitle>
+      <DialogContent>
+        <Typography variant="body2" sx={{ color: 'text.secondary', mb: 2 }}>
+          The AI draft contains things that did not come from the email you are replying to. This can happen
+          when an email or attachment tries to steer the AI - make sure each one is intended.
+        </Typography>
+        <Stack spacing={1}>
+          {(review?.flags || []).map((flag, index) => (
+            <Box
+              key={index}
+              sx={{ p: 1.5, background: '#0f0f12', border: '1px solid #27272a', borderRadius: 1 }}
+            >
+              <Stack direction="row" spacing={1} alignItems="center">
+                <Chip
+                  label={FLAG_LABELS[flag.type] || flag.type}
+                  size="small"
+                  sx={{ height: 20, fontSize: '0.7rem', background: 'rgba(239, 68, 68, 0.2)', color: '#f87171', fontWeight: 600 }}
+                />
+                <Typography variant="body2" sx={{ wordBreak: 'break-word' }}>
+                  {flag.message}
+                </Typography>
+              </Stack>
+              {flag.type === 'instruction' && flag.value && (
+                <Typography variant="caption" sx={{ display: 'block', color: '#71717a', mt: 0.5, fontFamily: 'monospace' }}>
+                  {flag.value}
+                </Typography>
+              )}
+            </Box>
+          ))}
+        </Stack>
+      </DialogContent>
+      <DialogActions sx={{ px: 3, pb: 2 }}>
+        <Button onClick={() => onDecide(false)} sx={{ color: 'text.secondary' }}>
+          Don&apos;t open
+        </Button>
+        <Button variant="contained" color="warning" onClick={() => onDecide(true)}>
+          Open in Outlook anyway
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
+
+export default DraftSafetyDialog;
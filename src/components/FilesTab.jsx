@@ -1,4 +1,4 @@
-import React, { useState, useCallback } from 'react';
+import React, { useState, useCallback, useRef } from 'react';
 import {
   Box,
   Paper,
@@ -40,7 +40,10 @@ import {
   CheckCircle as CheckIcon,
   TextFields as OcrIcon,
   Warning as WarningIcon,
+  Stop as StopIcon,
+  Autorenew as RegenerateIcon,
 } from '@mui/icons-material';
+import InjectionWarningChip from './InjectionWarningChip';
 
 // Get icon for file type
 function getFileIcon(extension) {
@@ -74,6 +77,10 @@ function FilesTab({ activeEmail, selectedEmail, showMessage, isElectron }) {
   const [analysisResult, setAnalysisResult] = useState(null);
   const [dragOver, setDragOver] = useState(false);
   const [analysisMenuAnchor, setAnalysisMenuAnchor] = useState(null);
+  
+  // Job of the file currently being analyzed, and whether the user cancelled the batch
+  const activeJobIdRef = useRef(null);
+  const cancelRequestedRef = useRef(false);
 
   // Get current email (active or selected)
   const currentEmail = activeEmail || selectedEmail;
@@ -164,10 +171,11 @@ function FilesTab({ activeEmail, selectedEmail, showMessage, isElectron }) {
   };
 
   // Analyze selected files
-  const handleAnalyze = async (analysisType) => {
+  // targetFiles re-runs a previous analysis; bypassCache asks the AI again instead of using cached answers
+  const handleAnalyze = async (analysisType, { bypassCache = false, targetFiles } = {}) => {
     setAnalysisMenuAnchor(null);
     
-    const allFiles = [
+    const allFiles = targetFiles || [
       ...attachments.map(a => ({ path: a.savedPath, name: a.fileName, type: 'attachment' })),
       ...files.map(f => ({ path: f.path, name: f.name, type: 'uploaded' })),
     ].filter(f => selectedFiles.includes(f.path));
@@ -179,33 +187,71 @@ function FilesTab({ activeEmail, selectedEmail, showMessage, isElectron }) {
 
     setLoading(prev => ({ ...prev, analyze: true }));
     setAnalysisResult(null);
+    cancelRequestedRef.current = false;
 
     try {
       const results = [];
       
       for (const file of allFiles) {
-        const result = await window.electronAPI.analyzeFile(file.path, analysisType);
+        if (cancelRequestedRef.current) break;
+        
+        const jobId = `job-${Date.now()}-${Math.random().toString(36).substr(2, 6)}`;
+        activeJobIdRef.current = jobId;
+        const result = await window.electronAPI.analyzeFile(file.path, analysisType, false, jobId, bypassCache);
+        if (result.cancelled) break;
+        
         results.push({
           fileName: file.name,
+          filePath: file.path,
           ...result,
         });
       }
 
-      setAnalysisResult({
-        type: analysisType,
-        files: results,
-      });
+      if (results.length > 0) {
+        setAnalysisResult({
+          type: analysisType,
+          files: results,
+        });
+      }
 
       const successCount = results.filter(r => r.success).length;
-      showMessage('success', `Analyzed ${successCount} of ${allFiles.length} file(s)`);
+      const queuedCount = results.filter(r => r.queued).length;
+      if (cancelRequestedRef.current) {
+        showMessage('info', `Analysis cancelled (${successCount} of ${allFiles.length} file(s) done)`);
+      } else if (queuedCount > 0) {
+        showMessage('warning', `Analyzed ${successCount} of ${allFiles.length} file(s) - ${queuedCount} queued until the AI provider is reachable (see Queue tab)`);
+      } else {
+        showMessage('success', `Analyzed ${successCount} of ${allFiles.length} file(s)`);
+      }
       
     } catch (error) {
       showMessage('error', `Error: ${error.message}`);
     } finally {
+      activeJobIdRef.current = null;
       setLoading(prev => ({ ...prev, analyze: false }));
     }
   };
 
+  // Cancel the running analysis: stops the current file (OCR/AI) and skips the rest
+  const handleCancelAnalyze = async () => {
+    cancelRequestedRef.current = true;
+    if (activeJobIdRef.current) {
+      try {
+        await window.electronAPI.cancelJob(activeJobIdRef.current);
+      } catch (error) {
+        showMessage('error', `Cancel failed: ${error.message}`);
+      }
+    }
+  };
+
+  // Re-run the current analysis on the same files without the response cache
+  const handleRegenerate = () => {
+    handleAnalyze(analysisResult.type, {
+      bypassCache: true,
+      targetFiles: analysisResult.files.map(r => ({ path: r.filePath, name: r.fileName })),
+    });
+  };
+
   // Copy analysis result
   const copyResult = () => {
     if (analysisResult?.files) {
@@ -269,6 +315,16 @@ function FilesTab({ activeEmail, selectedEmail, showMessage, isElectron }) {
         >
           {loading.analyze ? 'Analyzing...' : `Analyze Selected (${selectedFiles.length})`}
         </Button>
+        {loading.analyze && (
+          <Button
+            variant="outlined"
+            color="error"
+            startIcon={<StopIcon />}
+            onClick={handleCancelAnalyze}
+          >
+            Cancel
+          </Button>
+        )}
         
         {/* Analysis Menu */}
         <Menu
@@ -428,6 +484,13 @@ function FilesTab({ activeEmail, selectedEmail, showMessage, isElectron }) {
               </Typography>
             </Stack>
             <Stack direction="row" spacing={1}>
+              <Tooltip title="Regenerate (bypass cache)">
+                <span>
+                  <IconButton onClick={handleRegenerate} size="small" disabled={loading.analyze} sx={{ color: 'primary.main' }}>
+                    <RegenerateIcon />
+                  </IconButton>
+                </span>
+              </Tooltip>
               <Tooltip title="Copy to clipboard">
                 <IconButton onClick={copyResult} size="small" sx={{ color: 'primary.main' }}>
                   <CopyIcon />
@@ -493,6 +556,50 @@ function FilesTab({ activeEmail, selectedEmail, showMessage, isElectron }) {
                     }} 
                   />
                 )}
+                {result.imagesIncluded > 0 && (
+                  <Tooltip title="Images embedded in the document were sent to the vision model">
+                    <Chip 
+                      icon={<ImageIcon sx={{ fontSize: 14 }} />}
+                      label={`${result.imagesIncluded} image${result.imagesIncluded > 1 ? 's' : ''}`} 
+                      size="small" 
+                      sx={{ 
+                        height: 20, 
+                        fontSize: '0.65rem',
+                        background: 'rgba(59, 130, 246, 0.2)',
+                        color: '#60a5fa',
+                      }} 
+                    />
+                  </Tooltip>
+                )}
+                {result.cached && (
+                  <Tooltip title={`Cached answer from ${new Date(result.cachedAt).toLocaleString()} - regenerate to ask the AI again`}>
+                    <Chip 
+                      label="Cached" 
+                      size="small" 
+                      sx={{ 
+                        height: 18, 
+                        fontSize: '0.65rem',
+                        background: 'rgba(113, 113, 122, 0.25)',
+                        color: '#a1a1aa',
+                      }} 
+                    />
+                  </Tooltip>
+                )}
+                {result.chunksProcessed > 1 && (
+                  <Tooltip title="Document exceeded the model context and was summarized in chunks">
+                    <Chip 
+                      label={`${result.chunksProcessed} chunks`} 
+                      size="small" 
+                      sx={{ 
+                        height: 18, 
+                        fontSize: '0.65rem',
+                        background: 'rgba(34, 197, 94, 0.2)',
+                        color: '#22c55e',
+                      }} 
+                    />
+                  </Tooltip>
+                )}
+                <InjectionWarningChip warnings={result.injectionWarnings} sx={{ height: 18, fontSize: '0.65rem' }} />
               </Stack>
               
               <Box
@@ -0,0 +1,272 @@
+import React, { useState, useEffect, useRef } from 'react';
+import {
+  Box,
+  Paper,
+  Typography,
+  Button,
+  IconButton,
+  Stack,
+  Chip,
+  TextField,
+  Tooltip,
+} from '@mui/material';
+import {
+  Send as SendIcon,
+  ContentCopy as CopyIcon,
+  OpenInNew as OpenInOutlookIcon,
+  DeleteSweep as ClearIcon,
+  Stop as StopIcon,
+  Forum as ChatIcon,
+} from '@mui/icons-material';
+
+const QUICK_FOLLOW_UPS = ['Shorter', 'More formal', 'Friendlier', 'Add a clear next step'];
+
+// Conversation thread under the AI result: follow-ups are answered with the full history and the
+// thread is stored per EntryID, so it comes back when the email is opened again.
+function FollowUpChat({ email, aiResult, showMessage, createReply }) {
+  const [conversation, setConversation] = useState(null);
+  const [input, setInput] = useState('');
+  const [pending, setPending] = useState(null); // { jobId, message, content } while a follow-up runs
+  const threadEndRef = useRef(null);
+
+  const entryId = email?.entryId;
+
+  // Restore the thread when the email changes
+  useEffect(() => {
+    setConversation(null);
+    setPending(null);
+    if (!entryId) return;
+
+    let cancelled = false;
+    window.electronAPI.getConversation(entryId).then((result) => {
+      if (!cancelled && result.success) setConversation(result.conversation);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [entryId]);
+
+  // Streamed text of the follow-up in progress
+  useEffect(() => {
+    if (!pending?.jobId || !window.electronAPI.onAiStreamChunk) return undefined;
+
+    return window.electronAPI.onAiStreamChunk(({ streamId, delta, reset }) => {
+      if (streamId !== pending.jobId) return;
+      setPending(prev => (prev ? { ...prev, content: reset ? '' : prev.content + (delta || '') } : prev));
+    });
+  }, [pending?.jobId]);
+
+  useEffect(() => {
+    threadEndRef.current?.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+  }, [conversation, pending?.content]);
+
+  const hasResult = !!aiResult?.content && !aiResult.streaming;
+  if (!entryId || (!hasResult && !conversation?.messages?.length)) return null;
+
+  const handleSend = async (text = input) => {
+    const message = text.trim();
+    if (!message || pending) return;
+
+    const jobId = `followup-${Date.now()}-${Math.random().toString(36).substr(2, 6)}`;
+    setPending({ jobId, message, content: '' });
+    setInput('');
+
+    try {
+      const result = await window.electronAPI.sendFollowUp(email, message, hasResult ? aiResult : null, jobId);
+
+      if (result.success) {
+        setConversation(result.conversation);
+      } else if (result.cancelled) {
+        setInput(message);
+        showMessage('info', 'Follow-up cancelled');
+      } else {
+        setInput(message);
+        showMessage('error', result.error || 'Follow-up failed');
+      }
+    } catch (error) {
+      setInput(message);
+      showMessage('error', `Error: ${error.message}`);
+    } finally {
+      setPending(null);
+    }
+  };
+
+  const handleCancel = async () => {
+    if (pending?.jobId) {
+      await window.electronAPI.cancelJob(pending.jobId);
+    }
+  };
+
+  const handleClear = async () => {
+    const result = await window.electronAPI.clearConversation(entryId);
+    if (result.success) {
+      setConversation(null);
+      showMessage('success', 'Conversation cleared');
+    }
+  };
+
+  const handleCopy = (content) => {
+    navigator.clipboard.writeText(content);
+    showMessage('success', 'Copied to clipboard!');
+  };
+
+  const handleOpenInOutlook = async (message) => {
+    try {
+      showMessage('info', 'Opening reply in Outlook...');
+      const result = await createReply(entryId, message.content, true, message.sources);
+      if (result.success) {
+        showMessage('success', 'Reply opened in Outlook! Review and send when ready.');
+      } else {
+        showMessage('error', result.message);
+      }
+    } catch (error) {
+      showMessage('error', `Error: ${error.message}`);
+    }
+  };
+
+  const messages = conversation?.messages || [];
+  const turnCount = messages.filter(m => m.role === 'user').length;
+
+  const renderMessage = (message, index, isPending = false) => {
+    const isUser = message.role === 'user';
+    return (
+      <Box
+        key={index}
+        sx={{
+          alignSelf: isUser ? 'flex-end' : 'stretch',
+          maxWidth: isUser ? '80%' : '100%',
+          p: 1.5,
+          borderRadius: 2,
+          background: isUser ? 'rgba(249, 115, 22, 0.15)' : 'rgba(15, 15, 18, 0.8)',
+          border: isUser ? '1px solid rgba(249, 115, 22, 0.3)' : '1px solid #27272a',
+        }}
+      >
+        {!isUser && (
+          <Stack direction="row" alignItems="center" justifyContent="space-between" mb={0.5}>
+            <Typography variant="caption" sx={{ color: '#71717a', fontWeight: 600 }}>
+              {message.source === 'result' ? 'AI result' : 'AI'}
+              {message.answeredBy?.model ? ` · ${message.answeredBy.model}` : ''}
+            </Typography>
+            {!isPending && (
+              <Stack direction="row" spacing={0.5}>
+                <Tooltip title="Open as Reply in Outlook">
+                  <IconButton size="small" onClick={() => handleOpenInOutlook(message)} sx={{ color: '#22c55e', p: 0.25 }}>
+                    <OpenInOutlookIcon sx={{ fontSize: 16 }} />
+                  </IconButton>
+                </Tooltip>
+                <Tooltip title="Copy to clipboard">
+                  <IconButton size="small" onClick={() => handleCopy(message.content)} sx={{ color: '#71717a', p: 0.25 }}>
+                    <CopyIcon sx={{ fontSize: 16 }} />
+                  </IconButton>
+                </Tooltip>
+              </Stack>
+            )}
+          </Stack>
+        )}
+        <Typography
+          variant="body2"
+          sx={{ whiteSpace: 'pre-wrap', wordBreak: 'break-word', color: '#e4e4e7', lineHeight: 1.7 }}
+        >
+          {message.content || (isPending && (
+            <Typography component="span" variant="body2" sx={{ color: '#71717a', fontStyle: 'italic' }}>
+              Thinking...
+            </Typography>
+          ))}
+        </Typography>
+      </Box>
+    );
+  };
+
+  return (
+    <Paper sx={{ p: 2, mb: 2, background: '#18181b', border: '1px solid #27272a', borderRadius: 2 }}>
+      <Stack direction="row" alignItems="center" justifyContent="space-between" mb={1.5}>
+        <Stack direction="row" alignItems="center" spacing={1}>
+          <ChatIcon sx={{ color: 'primary.main', fontSize: 20 }} />
+          <Typography variant="subtitle2" sx={{ fontWeight: 700 }}>
+            Follow-up
+          </Typography>
+          {messages.length > 0 && (
+            <Chip
+              label={`${turnCount} turn${turnCount === 1 ? '' : 's'}`}
+              size="small"
+              sx={{ height: 18, fontSize: '0.65rem', background: '#27272a' }}
+            />
+          )}
+        </Stack>
+        {messages.length > 0 && (
+          <Tooltip title="Clear this conversation">
+            <span>
+              <IconButton size="small" onClick={handleClear} disabled={!!pending} sx={{ color: 'text.secondary' }}>
+                <ClearIcon fontSize="small" />
+              </IconButton>
+            </span>
+          </Tooltip>
+        )}
+      </Stack>
+
+      {(messages.length > 0 || pending) && (
+        <Stack spacing={1} sx={{ maxHeight: 400, overflow: 'auto', mb: 1.5 }}>
+          {messages.map((message, index) => renderMessage(message, index))}
+          {pending && renderMessage({ role: 'user', content: pending.message }, 'pending-user')}
+          {pending && renderMessage({ role: 'assistant', content: pending.content }, 'pending-answer', true)}
+          <div ref={threadEndRef} />
+        </Stack>
+      )}
+
+      <Stack direction="row" spacing={0.5} sx={{ mb: 1, flexWrap: 'wrap', gap: 0.5 }}>
+        {QUICK_FOLLOW_UPS.map(suggestion => (
+          <Chip
+            key={suggestion}
+            label={suggestion}
+            size="small"
+            onClick={() => handleSend(suggestion)}
+            disabled={!!pending}
+            sx={{ cursor: 'pointer', background: '#27272a', '&:hover': { background: 'rgba(249, 115, 22, 0.2)' } }}
+          />
+        ))}
+      </Stack>
+
+      <Stack direction="row" spacing={1} alignItems="flex-end">
+        <TextField
+          fullWidth
+          size="small"
+          placeholder={'e.g. "add that I\'m out Friday"'}
+          value={input}
+          onChange={(e) => setInput(e.target.value)}
+          onKeyDown={(e) => {
+            if (e.key === 'Enter' && !e.shiftKey) {
+              e.preventDefault();
+              handleSend();
+            }
+          }}
+          multiline
+          maxRows={4}
+          disabled={!!pending}
+        />
+        {pending ? (
+          <Button
+            variant="outlined"
+            color="error"
+            startIcon={<StopIcon />}
+            onClick={handleCancel}
+            sx={{ flexShrink: 0 }}
+          >
+            Stop
+          </Button>
+        ) : (
+          <Button
+            variant="contained"
+            startIcon={<SendIcon />}
+            onClick={() => handleSend()}
+            disabled={!input.trim()}
+            sx={{ flexShrink: 0 }}
+          >
+            Send
+          </Button>
+        )}
+      </Stack>
+    </Paper>
+  );
+}
+
+export default FollowUpChat;
@@ -0,0 +1,329 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Box,
+  Paper,
+  Typography,
+  Button,
+  Stack,
+  IconButton,
+  Tooltip,
+  Chip,
+  Collapse,
+  TextField,
+  InputAdornment,
+  Select,
+  MenuItem,
+  FormControl,
+  InputLabel,
+  CircularProgress,
+} from '@mui/material';
+import {
+  Search as SearchIcon,
+  Clear as ClearIcon,
+  Delete as DeleteIcon,
+  ContentCopy as CopyIcon,
+  OpenInNew as OpenInOutlookIcon,
+  MarkEmailRead as ReopenIcon,
+  History as HistoryIcon,
+  ExpandMore as ExpandMoreIcon,
+  ExpandLess as ExpandLessIcon,
+} from '@mui/icons-material';
+
+// The search runs in the main process (the history is decrypted there) - wait for a pause in typing
+const HISTORY_SEARCH_DEBOUNCE_MS = 300;
+
+const EMPTY_FILTERS = { query: '', prompt: '', sender: '', from: '', to: '' };
+
+// Past AI results (see AI HISTORY in main.js), newest first. onReopen(entry) loads the original
+// email with the saved result into the Active Email tab; createReply is App's reply-with-safety-check.
+function HistoryTab({ showMessage, createReply, onReopen }) {
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [history, setHistory] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [expandedId, setExpandedId] = useState(null);
+  const [pendingClear, setPendingClear] = useState(false);
+
+  const loadHistory = useCallback(async (currentFilters) => {
+    if (!window.electronAPI) return;
+    setLoading(true);
+    try {
+      const result = await window.electronAPI.getHistory(currentFilters);
+      if (result.success) {
+        setHistory(result);
+      } else {
+        showMessage('error', result.error || 'Could not load the history');
+      }
+    } catch (error) {
+      console.error('Error loading history:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, [showMessage]);
+
+  useEffect(() => {
+    const timer = setTimeout(() => loadHistory(filters), filters.query ? HISTORY_SEARCH_DEBOUNCE_MS : 0);
+    return () => clearTimeout(timer);
+  }, [filters, loadHistory]);
+
+  const setFilter = (field, value) => setFilters(prev => ({ ...prev, [field]: value }));
+  const hasFilters = Object.values(filters).some(Boolean);
+
+  const handleCopy = (content) => {
+    navigator.clipboard.writeText(content);
+    showMessage('success', 'Copied to clipboard!');
+  };
+
+  const handlePushToOutlook = async (entry) => {
+    try {
+      showMessage('info', 'Opening reply in Outlook...');
+      const result = await createReply(entry.email.entryId, entry.content, true, entry.sources);
+      if (result.success) {
+        showMessage('success', 'Reply opened in Outlook! Review and send when ready.');
+      } else {
+        showMessage('error', result.message);
+      }
+    } catch (error) {
+      showMessage('error', `Error: ${error.message}`);
+    }
+  };
+
+  const handleDelete = async (id) => {
+    const result = await window.electronAPI.deleteHistoryEntry(id);
+    if (result.success) {
+      loadHistory(filters);
+    } else {
+      showMessage('error', result.error || 'Delete failed');
+    }
+  };
+
+  const handleClearAll = async () => {
+    setPendingClear(false);
+    const result = await window.electronAPI.clearHistory();
+    if (result.success) {
+      showMessage('success', 'History cleared');
+      loadHistory(filters);
+    } else {
+      showMessage('error', result.error || 'Could not clear the history');
+    }
+  };
+
+  const entries = history?.entries || [];
+
+  return (
+    <Stack spacing={2} sx={{ height: '100%', overflow: 'auto' }}>
+      {/* Search and filters */}
+      <Stack direction="row" spacing={1.5} sx={{ flexWrap: 'wrap', gap: 1.5 }}>
+        <TextField
+          size="small"
+          placeholder="Search subjects, senders, prompts and answers..."
+          value={filters.query}
+          onChange={(e) => setFilter('query', e.target.value)}
+          sx={{ flex: 1, minWidth: 240 }}
+          InputProps={{
+            startAdornment: (
+              <InputAdornment position="start">
+                {loading ? <CircularProgress size={18} /> : <SearchIcon sx={{ color: '#71717a' }} />}
+              </InputAdornment>
+            ),
+          }}
+        />
+        <FormControl size="small" sx={{ minWidth: 160 }}>
+          <InputLabel>Prompt</InputLabel>
+          <Select value={filters.prompt} label="Prompt" onChange={(e) => setFilter('prompt', e.target.value)}>
+            <MenuItem value="">All prompts</MenuItem>
+            {(history?.prompts || []).map(name => (
+              <MenuItem key={name} value={name}>{name}</MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+        <FormControl size="small" sx={{ minWidth: 160 }}>
+          <InputLabel>Sender</InputLabel>
+          <Select value={filters.sender} label="Sender" onChange={(e) => setFilter('sender', e.target.value)}>
+            <MenuItem value="">All senders</MenuItem>
+            {(history?.senders || []).map(sender => (
+              <MenuItem key={sender.value} value={sender.value}>{sender.name}</MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+        <TextField
+          size="small"
+          type="date"
+          label="From"
+          value={filters.from}
+          onChange={(e) => setFilter('from', e.target.value)}
+          InputLabelProps={{ shrink: true }}
+          sx={{ width: 160 }}
+        />
+        <TextField
+          size="small"
+          type="date"
+          label="To"
+          value={filters.to}
+          onChange={(e) => setFilter('to', e.target.value)}
+          InputLabelProps={{ shrink: true }}
+          sx={{ width: 160 }}
+        />
+        {hasFilters && (
+          <Tooltip title="Clear filters">
+            <IconButton size="small" onClick={() => setFilters(EMPTY_FILTERS)} sx={{ color: 'text.secondary' }}>
+              <ClearIcon fontSize="small" />
+            </IconButton>
+          </Tooltip>
+        )}
+      </Stack>
+
+      {history && (
+        <Stack direction="row" spacing={1} alignItems="center">
+          <Typography variant="body2" sx={{ color: 'text.secondary', flex: 1 }}>
+            {hasFilters
+              ? `${history.total} of ${history.count} saved result${history.count === 1 ? '' : 's'}`
+              : `${history.count} saved result${history.count === 1 ? '' : 's'}`}
+            {history.total > entries.length ? ` - showing the newest ${entries.length}` : ''}
+            {!history.enabled && ' · History is off, new results are not saved (Settings > AI Provider)'}
+          </Typography>
+          {history.count > 0 && (pendingClear ? (
+            <>
+              <Button size="small" color="error" onClick={handleClearAll}>
+                Delete all {history.count}
+              </Button>
+              <Button size="small" onClick={() => setPendingClear(false)} sx={{ color: 'text.secondary' }}>
+                Keep
+              </Button>
+            </>
+          ) : (
+            <Button size="small" color="error" startIcon={<DeleteIcon />} onClick={() => setPendingClear(true)}>
+              Clear History
+            </Button>
+          ))}
+        </Stack>
+      )}
+
+      {entries.map((entry) => {
+        const expanded = expandedId === entry.id;
+        return (
+          <Paper key={entry.id} sx={{ p: 2, background: '#18181b', border: '1px solid #27272a', borderRadius: 2 }}>
+            <Stack direction="row" spacing={1.5} alignItems="center">
+              <Box sx={{ flex: 1, minWidth: 0 }}>
+                <Typography variant="subtitle2" sx={{ fontWeight: 700 }} noWrap>
+                  {entry.email.subject || '(No Subject)'}
+                </Typography>
+                <Typography variant="caption" sx={{ color: '#71717a' }} noWrap component="div">
+                  {entry.email.senderName || entry.email.senderEmail
+                    ? `${entry.email.senderName || entry.email.senderEmail} · `
+                    : ''}
+                  {new Date(entry.createdAt).toLocaleString()}
+                  {entry.answeredBy?.model ? ` · ${entry.answeredBy.model}` : ''}
+                </Typography>
+              </Box>
+              {entry.email.entryId && (
+                <>
+                  <Tooltip title="Re-open the email with this result">
+                    <IconButton size="small" onClick={() => onReopen(entry)} sx={{ color: 'primary.main' }}>
+                      <ReopenIcon fontSize="small" />
+                    </IconButton>
+                  </Tooltip>
+                  <Tooltip title="Open as Reply in Outlook">
+                    <IconButton size="small" onClick={() => handlePushToOutlook(entry)} sx={{ color: '#22c55e' }}>
+                      <OpenInOutlookIcon fontSize="small" />
+                    </IconButton>
+                  </Tooltip>
+                </>
+              )}
+              <Tooltip title="Copy to clipboard">
+                <IconButton size="small" onClick={() => handleCopy(entry.content)} sx={{ color: 'primary.main' }}>
+                  <CopyIcon fontSize="small" />
+                </IconButton>
+              </Tooltip>
+              <Tooltip title={expanded ? 'Hide result' : 'Show result'}>
+                <IconButton size="small" onClick={() => setExpandedId(expanded ? null : entry.id)} sx={{ color: 'text.secondary' }}>
+                  {expanded ? <ExpandLessIcon fontSize="small" /> : <ExpandMoreIcon fontSize="small" />}
+                </IconButton>
+              </Tooltip>
+              <Tooltip title="Delete">
+                <IconButton size="small" onClick={() => handleDelete(entry.id)} sx={{ color: 'text.secondary' }}>
+                  <DeleteIcon fontSize="small" />
+                </IconButton>
+              </Tooltip>
+            </Stack>
+
+            {(entry.prompts.length > 0 || entry.quickNotes || entry.followUp) && (
+              <Stack direction="row" spacing={0.5} sx={{ mt: 1, flexWrap: 'wrap', gap: 0.5 }}>
+                {entry.prompts.map(name => (
+                  <Chip
+                    key={name}
+                    label={name}
+                    size="small"
+                    onClick={() => setFilter('prompt', name)}
+                    sx={{ height: 20, fontSize: '0.7rem', background: '#27272a', color: '#a1a1aa' }}
+                  />
+                ))}
+                {entry.quickNotes && (
+                  <Tooltip title={entry.quickNotes} componentsProps={{ tooltip: { sx: { whiteSpace: 'pre-line' } } }}>
+                    <Chip
+                      label="📝 quick notes"
+                      size="small"
+                      sx={{ height: 20, fontSize: '0.7rem', background: 'rgba(168, 85, 247, 0.3)', color: '#c084fc' }}
+                    />
+                  </Tooltip>
+                )}
+                {entry.followUp && (
+                  <Tooltip title={entry.followUp} componentsProps={{ tooltip: { sx: { whiteSpace: 'pre-line' } } }}>
+                    <Chip
+                      label="💬 follow-up"
+                      size="small"
+                      sx={{ height: 20, fontSize: '0.7rem', background: 'rgba(59, 130, 246, 0.3)', color: '#93c5fd' }}
+                    />
+                  </Tooltip>
+                )}
+              </Stack>
+            )}
+
+            <Collapse in={expanded}>
+              <Box
+                sx={{
+                  mt: 1.5,
+                  p: 2,
+                  background: 'rgba(15, 15, 18, 0.8)',
+                  borderRadius: 2,
+                  maxHeight: 300,
+                  overflow: 'auto',
+                  whiteSpace: 'pre-wrap',
+                  wordBreak: 'break-word',
+                  color: '#e4e4e7',
+                  fontSize: '0.9rem',
+                  lineHeight: 1.7,
+                }}
+              >
+                {entry.content}
+              </Box>
+            </Collapse>
+          </Paper>
+        );
+      })}
+
+      {history && entries.length === 0 && (
+        <Paper
+          sx={{
+            p: 4,
+            background: '#1a1a1f',
+            border: '1px dashed #3f3f46',
+            textAlign: 'center',
+            borderRadius: 2,
+          }}
+        >
+          <HistoryIcon sx={{ fontSize: 48, color: '#3f3f46', mb: 2 }} />
+          <Typography variant="h6" sx={{ color: 'text.secondary', mb: 1 }}>
+            {hasFilters ? 'No Matching Results' : 'No History Yet'}
+          </Typography>
+          <Typography variant="body2" sx={{ color: '#71717a' }}>
+            {history.enabled
+              ? 'AI results for your emails are saved here, encrypted on this computer.'
+              : 'Turn on AI History in Settings > AI Provider to keep every AI result with its email, prompts and model.'}
+          </Typography>
+        </Paper>
+      )}
+    </Stack>
+  );
+}
+
+export default HistoryTab;
@@ -1,4 +1,4 @@
-import React, { useState, useMemo, useCallback } from 'react';
+import React, { useState, useMemo, useCallback, useEffect, useRef } from 'react';
 import {
   Box,
   Paper,
@@ -40,8 +40,14 @@ import {
   ChecklistRtl as ActionItemsIcon,
   Person as PersonIcon,
   Business as DomainIcon,
+  TravelExplore as SemanticIcon,
+  ManageSearch as SimilarIcon,
 } from '@mui/icons-material';
 
+// Semantic queries cost an embeddings call - wait for a pause in typing
+const SEMANTIC_SEARCH_DEBOUNCE_MS = 600;
+const MIN_SEMANTIC_QUERY_LENGTH = 3;
+
 const InboxTab = ({ 
   showMessage, 
   aiSettings,
@@ -69,6 +75,119 @@ const InboxTab = ({
   // UI State
   const [showFilters, setShowFilters] = useState(true);
 
+  // Semantic search: results come from the local embeddings index (see SEMANTIC SEARCH in main.js)
+  // and can include indexed emails that aren't loaded, e.g. from Sent Items
+  const [semanticMode, setSemanticMode] = useState(false);
+  const [semanticResults, setSemanticResults] = useState(null);
+  const [semanticLoading, setSemanticLoading] = useState(false);
+  const [similarTo, setSimilarTo] = useState(null);
+  const [indexStatus, setIndexStatus] = useState(null);
+  const [indexProgress, setIndexProgress] = useState(null);
+  const searchRequestRef = useRef(0);
+
+  const semanticAvailable = !!(indexStatus?.enabled && indexStatus?.supported);
+
+  const loadIndexStatus = useCallback(async () => {
+    if (!window.electronAPI?.getSemanticIndexStatus) return;
+    const result = await window.electronAPI.getSemanticIndexStatus();
+    if (result.success) {
+      setIndexStatus(result);
+      setIndexProgress(result.progress);
+    }
+  }, []);
+
+  // Settings can change while the app runs - aiSettings is reloaded on save
+  useEffect(() => {
+    loadIndexStatus();
+  }, [loadIndexStatus, aiSettings]);
+
+  useEffect(() => {
+    if (!window.electronAPI?.onSemanticIndexProgress) return undefined;
+    return window.electronAPI.onSemanticIndexProgress((progress) => {
+      if (progress.done) {
+        setIndexProgress(null);
+        loadIndexStatus();
+      } else {
+        setIndexProgress(progress);
+      }
+    });
+  }, [loadIndexStatus]);
+
+  useEffect(() => {
+    if (!semanticAvailable && semanticMode) {
+      setSemanticMode(false);
+      setSemanticResults(null);
+      setSimilarTo(null);
+    }
+  }, [semanticAvailable, semanticMode]);
+
+  const runSemanticSearch = useCallback(async (search) => {
+    const requestId = ++searchRequestRef.current;
+    setSemanticLoading(true);
+    try {
+      const result = await search();
+      if (requestId !== searchRequestRef.current) return; // A newer search replaced this one
+      if (result.success) {
+        setSemanticResults(result.results || []);
+        if (result.stale) {
+          showMessage('info', 'The search index is being rebuilt for the new embedding model - load emails to fill it.');
+        }
+      } else {
+        setSemanticResults([]);
+        showMessage('error', result.error || 'Semantic search failed');
+      }
+    } catch (error) {
+      if (requestId === searchRequestRef.current) showMessage('error', `Error: ${error.message}`);
+    } finally {
+      if (requestId === searchRequestRef.current) setSemanticLoading(false);
+    }
+  }, [showMessage]);
+
+  // Search by meaning as the query is typed (not while showing "similar to" results)
+  useEffect(() => {
+    if (!semanticMode || similarTo) return undefined;
+
+    const query = searchQuery.trim();
+    if (query.length < MIN_SEMANTIC_QUERY_LENGTH) {
+      searchRequestRef.current++;
+      setSemanticResults(null);
+      setSemanticLoading(false);
+      return undefined;
+    }
+    const timer = setTimeout(
+      () => runSemanticSearch(() => window.electronAPI.semanticSearch(query)),
+      SEMANTIC_SEARCH_DEBOUNCE_MS
+    );
+    return () => clearTimeout(timer);
+  }, [semanticMode, similarTo, searchQuery, runSemanticSearch]);
+
+  const toggleSemanticMode = () => {
+    const enabling = !semanticMode;
+    setSemanticMode(enabling);
+    setSemanticResults(null);
+    setSimilarTo(null);
+    // Emails loaded before semantic search was enabled aren't indexed yet
+    if (enabling && emails.length > 0) {
+      window.electronAPI.semanticIndex(emails, 'inbox').then((result) => {
+        if (!result.success) showMessage('warning', `Indexing failed: ${result.error}`);
+      });
+    }
+  };
+
+  const findSimilar = (email) => {
+    setSemanticMode(true);
+    setSimilarTo(email);
+    setSearchQuery('');
+    runSemanticSearch(() => window.electronAPI.findSimilarEmails(email.entryId));
+  };
+
+  const clearSimilar = () => {
+    searchRequestRef.current++;
+    setSimilarTo(null);
+    setSemanticResults(null);
+    setSemanticLoading(false);
+  };
+
   // Fetch emails from Outlook
   const fetchEmails = useCallback(async () => {
     if (!window.electronAPI) {
@@ -140,11 +259,18 @@ const InboxTab = ({
     return { uniqueSenders: senders, uniqueDomains: domains };
   }, [emails]);
 
+  // Semantic results in score order, using the loaded copy of an email when there is one
+  const listedEmails = useMemo(() => {
+    if (!semanticResults) return emails;
+    const loaded = new Map(emails.map(email => [email.entryId, email]));
+    return semanticResults.map(result => ({ ...result, ...loaded.get(result.entryId), score: result.score }));
+  }, [emails, semanticResults]);
+
   // Filter emails based on current filters
   const filteredEmails = useMemo(() => {
-    return emails.filter(email => {
-      // Search query
-      if (searchQuery) {
+    return listedEmails.filter(email => {
+      // Search query (in semantic mode the query ranks results instead)
+      if (searchQuery && !semanticMode) {
         const query = searchQuery.toLowerCase();
         const matchesSearch = 
           email.subject?.toLowerCase().includes(query) ||
@@ -176,7 +302,7 @@ const InboxTab = ({
       
       return true;
     });
-  }, [emails, searchQuery, showUnreadOnly, showWithAttachments, showHighPriority, selectedSenders, selectedDomains]);
+  }, [listedEmails, searchQuery, semanticMode, showUnreadOnly, showWithAttachments, showHighPriority, selectedSenders, selectedDomains]);
 
   // Selection handlers
   const toggleSelection = (entryId) => {
@@ -222,6 +348,7 @@ const InboxTab = ({
     setShowHighPriority(false);
     setSelectedSenders([]);
     setSelectedDomains([]);
+    clearSimilar();
   };
 
   // Format time for display
@@ -247,6 +374,7 @@ const InboxTab = ({
     selectedSenders.length > 0,
     selectedDomains.length > 0,
     searchQuery.length > 0,
+    !!similarTo,
   ].filter(Boolean).length;
 
   return (
@@ -274,14 +402,19 @@ const InboxTab = ({
               
               <TextField
                 size="small"
-                placeholder="Search emails..."
+                placeholder={semanticMode ? 'Search by meaning, e.g. "invoice disputes with suppliers"' : 'Search emails...'}
                 value={searchQuery}
-                onChange={(e) => setSearchQuery(e.target.value)}
+                onChange={(e) => {
+                  if (similarTo) clearSimilar();
+                  setSearchQuery(e.target.value);
+                }}
                 sx={{ flex: 1, minWidth: 200 }}
                 InputProps={{
                   startAdornment: (
                     <InputAdornment position="start">
-                      <SearchIcon sx={{ color: '#71717a' }} />
+                      {semanticLoading
+                        ? <CircularProgress size={18} sx={{ color: '#c084fc' }} />
+                        : <SearchIcon sx={{ color: semanticMode ? '#c084fc' : '#71717a' }} />}
                     </InputAdornment>
                   ),
                   endAdornment: searchQuery && (
@@ -294,6 +427,27 @@ const InboxTab = ({
                 }}
               />
               
+              <Tooltip
+                title={semanticAvailable
+                  ? 'Search by meaning across indexed Inbox and Sent emails'
+                  : (indexStatus?.enabled ? indexStatus.error : 'Enable Semantic Search in Settings > AI Provider')}
+              >
+                <span>
+                  <Chip
+                    icon={<SemanticIcon sx={{ fontSize: 16 }} />}
+                    label="Semantic"
+                    onClick={toggleSemanticMode}
+                    disabled={!semanticAvailable}
+                    sx={{
+                      background: semanticMode ? 'rgba(168, 85, 247, 0.3)' : '#27272a',
+                      color: semanticMode ? '#c084fc' : '#a1a1aa',
+                      '& .MuiChip-icon': { color: 'inherit' },
+                      '&:hover': { background: semanticMode ? 'rgba(168, 85, 247, 0.4)' : '#3f3f46' },
+                    }}
+                  />
+                </span>
+              </Tooltip>
+              
               <Button
                 variant="contained"
                 startIcon={loading ? <CircularProgress size={18} color="inherit" /> : <RefreshIcon />}
@@ -304,6 +458,25 @@ const InboxTab = ({
               </Button>
             </Stack>
 
+            {semanticMode && (
+              <Stack direction="row" spacing={1} alignItems="center" flexWrap="wrap" useFlexGap>
+                {similarTo && (
+                  <Chip
+                    icon={<SimilarIcon sx={{ fontSize: 16 }} />}
+                    label={`Similar to: ${similarTo.subject || '(no subject)'}`}
+                    size="small"
+                    onDelete={clearSimilar}
+                    sx={{ maxWidth: 400, background: 'rgba(168, 85, 247, 0.3)', color: '#c084fc', '& .MuiChip-icon': { color: 'inherit' } }}
+                  />
+                )}
+                <Typography variant="caption" sx={{ color: '#71717a' }}>
+                  {indexProgress
+                    ? `Indexing ${indexProgress.folder} emails: ${indexProgress.indexed} of ${indexProgress.total}...`
+                    : `${indexStatus?.count || 0} emails indexed (${indexStatus?.inbox || 0} inbox, ${indexStatus?.sent || 0} sent) - load Inbox or Sent Items to add more`}
+                </Typography>
+              </Stack>
+            )}
+
             {/* Filter Toggles */}
             <Stack direction="row" spacing={2} alignItems="center" flexWrap="wrap">
               <FormControlLabel
@@ -386,10 +559,12 @@ const InboxTab = ({
         )}
 
         {/* Email Count & Selection Controls */}
-        {emails.length > 0 && (
+        {listedEmails.length > 0 && (
           <Stack direction="row" spacing={2} alignItems="center" sx={{ mb: 1, px: 1 }}>
             <Typography variant="body2" sx={{ color: '#71717a' }}>
-              Showing {filteredEmails.length} of {emails.length} emails
+              {semanticResults
+                ? `Showing ${filteredEmails.length} closest matches, best first`
+                : `Showing ${filteredEmails.length} of ${emails.length} emails`}
             </Typography>
             <Divider orientation="vertical" flexItem />
             <Typography variant="body2" sx={{ color: selectedIds.size > 0 ? '#8b5cf6' : '#71717a' }}>
@@ -435,7 +610,17 @@ const InboxTab = ({
             border: '1px solid #27272a',
           }}
         >
-          {emails.length === 0 && !loading ? (
+          {listedEmails.length === 0 && semanticResults && !semanticLoading ? (
+            <Box sx={{ p: 4, textAlign: 'center' }}>
+              <SemanticIcon sx={{ fontSize: 48, color: '#3f3f46', mb: 2 }} />
+              <Typography variant="h6" sx={{ color: '#71717a' }}>
+                No Similar Emails
+              </Typography>
+              <Typography variant="body2" sx={{ color: '#52525b' }}>
+                Nothing in the index is close enough - try other words, or load more emails to index them
+              </Typography>
+            </Box>
+          ) : listedEmails.length === 0 && !loading ? (
             <Box sx={{ p: 4, textAlign: 'center' }}>
               <EmailIcon sx={{ fontSize: 48, color: '#3f3f46', mb: 2 }} />
               <Typography variant="h6" sx={{ color: '#71717a' }}>
@@ -445,7 +630,7 @@ const InboxTab = ({
                 Click "Load Emails" to fetch your recent inbox
               </Typography>
             </Box>
-          ) : filteredEmails.length === 0 && emails.length > 0 ? (
+          ) : filteredEmails.length === 0 && listedEmails.length > 0 ? (
             <Box sx={{ p: 4, textAlign: 'center' }}>
               <FilterIcon sx={{ fontSize: 48, color: '#3f3f46', mb: 2 }} />
               <Typography variant="h6" sx={{ color: '#71717a' }}>
@@ -519,6 +704,18 @@ const InboxTab = ({
                           <AttachmentIcon sx={{ fontSize: 14, color: '#71717a' }} />
                         </Badge>
                       )}
+                      {email.folder === 'sent' && (
+                        <Chip label="Sent" size="small" sx={{ height: 18, fontSize: '0.65rem', background: 'rgba(59, 130, 246, 0.2)', color: '#60a5fa' }} />
+                      )}
+                      {email.score !== undefined && (
+                        <Tooltip title="Similarity">
+                          <Chip
+                            label={`${Math.round(email.score * 100)}%`}
+                            size="small"
+                            sx={{ height: 18, fontSize: '0.65rem', background: 'rgba(168, 85, 247, 0.3)', color: '#c084fc' }}
+                          />
+                        </Tooltip>
+                      )}
                       <Typography variant="caption" sx={{ color: '#52525b', ml: 'auto !important', flexShrink: 0 }}>
                         {formatTime(email.receivedTime)}
                       </Typography>
@@ -646,6 +843,17 @@ const InboxTab = ({
                 >
                   Load Full Email
                 </Button>
+                {semanticAvailable && (
+                  <Button
+                    variant="outlined"
+                    fullWidth
+                    startIcon={<SimilarIcon />}
+                    onClick={() => findSimilar(previewEmail)}
+                    sx={{ color: '#c084fc', borderColor: 'rgba(168, 85, 247, 0.5)' }}
+                  >
+                    Find Similar
+                  </Button>
+                )}
               </Stack>
             </Box>
           </>
@@ -0,0 +1,32 @@
+import React from 'react';
+import { Chip, Tooltip } from '@mui/material';
+
+// Badge for results whose email, attachments or documents contained text aimed at the AI
+// (injectionWarnings from PROMPT INJECTION DEFENSE in main.js: [{ source, label, excerpt }])
+function InjectionWarningChip({ warnings, sx }) {
+  if (!warnings || warnings.length === 0) return null;
+
+  const details = warnings
+    .map(warning => `• ${warning.source}: ${warning.label}${warning.excerpt ? `\n   "${warning.excerpt}"` : ''}`)
+    .join('\n');
+
+  return (
+    <Tooltip
+      title={`This content contains text that looks aimed at the AI. It was sent as data, not as instructions, but check the answer before using it.\n\n${details}`}
+      componentsProps={{ tooltip: { sx: { whiteSpace: 'pre-line', maxWidth: 480 } } }}
+    >
+      <Chip
+        label="⚠️ possible prompt injection"
+        size="small"
+        sx={{
+          background: 'rgba(239, 68, 68, 0.2)',
+          color: '#f87171',
+          fontWeight: 600,
+          ...sx,
+        }}
+      />
+    </Tooltip>
+  );
+}
+
+export default InjectionWarningChip;
@@ -0,0 +1,338 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import {
+  Box,
+  Typography,
+  Button,
+  IconButton,
+  Stack,
+  Chip,
+  TextField,
+  Tooltip,
+  Autocomplete,
+  CircularProgress,
+  LinearProgress,
+  Collapse,
+} from '@mui/material';
+import {
+  Refresh as RefreshIcon,
+  Download as DownloadIcon,
+  Delete as DeleteIcon,
+  Stop as StopIcon,
+  ExpandMore as ExpandMoreIcon,
+  ExpandLess as ExpandLessIcon,
+} from '@mui/icons-material';
+
+// Wait for the user to stop typing a server URL before asking it for models
+const ENDPOINT_DEBOUNCE_MS = 600;
+
+const formatContext = (tokens) => (tokens >= 1000 ? `${Math.round(tokens / 1000)}k ctx` : `${tokens} ctx`);
+
+const formatBytes = (bytes) => {
+  if (!bytes) return '';
+  if (bytes >= 1e9) return `${(bytes / 1e9).toFixed(1)} GB`;
+  return `${Math.round(bytes / 1e6)} MB`;
+};
+
+// Context length / vision chips for a discovered model (only what the server reported)
+function ModelChips({ info }) {
+  if (!info) return null;
+  return (
+    <>
+      {info.contextLength > 0 && (
+        <Chip
+          label={formatContext(info.contextLength)}
+          size="small"
+          sx={{ height: 18, fontSize: '0.65rem', background: '#27272a', color: '#a1a1aa' }}
+        />
+      )}
+      {info.vision && (
+        <Chip
+          label="Vision"
+          size="small"
+          sx={{ height: 18, fontSize: '0.65rem', background: 'rgba(59, 130, 246, 0.2)', color: '#60a5fa' }}
+        />
+      )}
+    </>
+  );
+}
+
+// Model field for the AI Provider tab: a searchable dropdown of the models the provider reports
+// (free text still allowed), and for Ollama a panel to pull and delete local models.
+function ModelPicker({ provider, providerConfig, endpoint, apiKey, value, onChange, helperText }) {
+  const [models, setModels] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [manageOpen, setManageOpen] = useState(false);
+  const [pullName, setPullName] = useState('');
+  const [pull, setPull] = useState(null); // { jobId, name, status, total, completed } while pulling
+  const [pullError, setPullError] = useState(null);
+  const [pendingDelete, setPendingDelete] = useState(null);
+
+  const discovery = providerConfig?.modelDiscovery;
+  const isOllama = discovery === 'ollama';
+
+  // The key is read when a load starts, so typing it doesn't trigger one (see the effect below)
+  const apiKeyRef = useRef(apiKey);
+  apiKeyRef.current = apiKey;
+  // Answers of superseded loads (provider or server changed meanwhile) are dropped
+  const loadIdRef = useRef(0);
+
+  const loadModels = useCallback(async () => {
+    if (!discovery || !window.electronAPI?.listModels) return;
+    const loadId = ++loadIdRef.current;
+    setLoading(true);
+    setError(null);
+    try {
+      const result = await window.electronAPI.listModels(provider, endpoint, apiKeyRef.current || undefined);
+      if (loadId !== loadIdRef.current) return;
+      if (result.success) {
+        setModels(result.models || []);
+      } else {
+        setModels([]);
+        setError(result.error || 'Could not load models');
+      }
+    } catch (e) {
+      if (loadId === loadIdRef.current) setError(e.message);
+    } finally {
+      if (loadId === loadIdRef.current) setLoading(false);
+    }
+  }, [provider, endpoint, discovery]);
+
+  // Reload when the provider or server changes - the API key only on Refresh, to avoid a request per keystroke
+  useEffect(() => {
+    loadIdRef.current++;
+    setModels([]);
+    setError(null);
+    setLoading(false);
+    if (!discovery) return undefined;
+
+    const timer = setTimeout(loadModels, ENDPOINT_DEBOUNCE_MS);
+    return () => clearTimeout(timer);
+  }, [loadModels, discovery]);
+
+  const handlePull = async () => {
+    const name = pullName.trim();
+    if (!name || pull) return;
+
+    const jobId = `pull-${Date.now()}-${Math.random().toString(36).substr(2, 6)}`;
+    setPull({ jobId, name, status: 'starting' });
+    setPullError(null);
+    // Listen before starting, so the first progress events aren't missed
+    const unsubscribe = window.electronAPI.onOllamaPullProgress?.((progress) => {
+      if (progress.jobId !== jobId) return;
+      setPull(prev => (prev ? { ...prev, ...progress } : prev));
+    });
+    try {
+      const result = await window.electronAPI.pullOllamaModel(endpoint, name, jobId);
+      if (result.success) {
+        setPullName('');
+        await loadModels();
+        onChange(name);
+      } else if (!result.cancelled) {
+        setPullError(result.error || 'Pull failed');
+      }
+    } catch (e) {
+      setPullError(e.message);
+    } finally {
+      unsubscribe?.();
+      setPull(null);
+    }
+  };
+
+  const handleDelete = async (name) => {
+    setPendingDelete(null);
+    const result = await window.electronAPI.deleteOllamaModel(endpoint, name);
+    if (result.success) {
+      setModels(prev => prev.filter(m => m.id !== name));
+    } else {
+      setPullError(result.error || 'Delete failed');
+    }
+  };
+
+  const selectedInfo = models.find(m => m.id === value);
+  const pullPercent = pull?.total ? Math.round(((pull.completed || 0) / pull.total) * 100) : null;
+
+  return (
+    <Box sx={{ mb: 3 }}>
+      <Stack direction="row" spacing={1} alignItems="flex-start">
+        <Autocomplete
+          freeSolo
+          fullWidth
+          options={models.map(m => m.id)}
+          value={value}
+          inputValue={value}
+          onInputChange={(e, newValue) => onChange(newValue)}
+          onChange={(e, newValue) => onChange(newValue || '')}
+          loading={loading}
+          renderOption={(props, option) => {
+            const info = models.find(m => m.id === option);
+            return (
+              <li {...props} key={option}>
+                <Stack direction="row" spacing={1} alignItems="center" sx={{ width: '100%' }}>
+                  <Typography variant="body2" sx={{ flex: 1 }} noWrap>
+                    {option}
+                    {info?.name && (
+                      <Typography component="span" variant="caption" sx={{ color: '#71717a', ml: 1 }}>
+                        {info.name}
+                      </Typography>
+                    )}
+                  </Typography>
+                  {info?.parameterSize && (
+                    <Typography variant="caption" sx={{ color: '#71717a' }}>
+                      {info.parameterSize}
+                    </Typography>
+                  )}
+                  <ModelChips info={info} />
+                </Stack>
+              </li>
+            );
+          }}
+          renderInput={(params) => (
+            <TextField
+              {...params}
+              label="Model"
+              helperText={error
+                ? `${error} - you can still type the model name`
+                : (models.length > 0 ? `${models.length} models available - type to search` : helperText)}
+              FormHelperTextProps={{ sx: { color: error ? 'warning.main' : undefined } }}
+              InputProps={{
+                ...params.InputProps,
+                endAdornment: (
+                  <>
+                    {loading && <CircularProgress color="inherit" size={18} />}
+                    {params.InputProps.endAdornment}
+                  </>
+                ),
+              }}
+            />
+          )}
+        />
+        {discovery && (
+          <Tooltip title="Reload the model list">
+            <span>
+              <IconButton onClick={loadModels} disabled={loading} sx={{ mt: 1 }}>
+                <RefreshIcon />
+              </IconButton>
+            </span>
+          </Tooltip>
+        )}
+      </Stack>
+
+      {selectedInfo && (selectedInfo.contextLength > 0 || selectedInfo.vision) && (
+        <Stack direction="row" spacing={0.5} sx={{ mt: 1 }}>
+          <ModelChips info={selectedInfo} />
+        </Stack>
+      )}
+
+      {/* Ollama: pull and delete local models */}
+      {isOllama && (
+        <Box sx={{ mt: 1.5, background: '#0f0f12', border: '1px solid #27272a', borderRadius: 1 }}>
+          <Button
+            fullWidth
+            size="small"
+            onClick={() => setManageOpen(!manageOpen)}
+            endIcon={manageOpen ? <ExpandLessIcon /> : <ExpandMoreIcon />}
+            sx={{ justifyContent: 'space-between', color: 'text.secondary', px: 2 }}
+          >
+            Manage local models{models.length > 0 ? ` (${models.length})` : ''}
+          </Button>
+          <Collapse in={manageOpen}>
+            <Box sx={{ p: 2, pt: 1 }}>
+              <Stack direction="row" spacing={1} alignItems="center">
+                <TextField
+                  fullWidth
+                  size="small"
+                  label="Pull a model"
+                  placeholder="e.g. llama3.2, qwen2.5:7b, llava"
+                  value={pullName}
+                  onChange={(e) => setPullName(e.target.value)}
+                  onKeyDown={(e) => {
+                    if (e.key === 'Enter') handlePull();
+                  }}
+                  disabled={!!pull}
+                />
+                {pull ? (
+                  <Button
+                    variant="outlined"
+                    color="error"
+                    startIcon={<StopIcon />}
+                    onClick={() => window.electronAPI.cancelJob(pull.jobId)}
+                    sx={{ flexShrink: 0 }}
+                  >
+                    Cancel
+                  </Button>
+                ) : (
+                  <Button
+                    variant="contained"
+                    startIcon={<DownloadIcon />}
+                    onClick={handlePull}
+                    disabled={!pullName.trim()}
+                    sx={{ flexShrink: 0 }}
+                  >
+                    Pull
+                  </Button>
+                )}
+              </Stack>
+
+              {pull && (
+                <Box sx={{ mt: 1.5 }}>
+                  <LinearProgress
+                    variant={pullPercent !== null ? 'determinate' : 'indeterminate'}
+                    value={pullPercent || 0}
+                    sx={{ height: 6, borderRadius: 3 }}
+                  />
+                  <Typography variant="caption" sx={{ color: '#a1a1aa', display: 'block', mt: 0.5 }}>
+                    {pull.name}: {pull.status}
+                    {pullPercent !== null && ` - ${pullPercent}% of ${formatBytes(pull.total)}`}
+                  </Typography>
+                </Box>
+              )}
+
+              {pullError && (
+                <Typography variant="caption" sx={{ color: 'error.main', display: 'block', mt: 1 }}>
+                  {pullError}
+                </Typography>
+              )}
+
+              <Stack spacing={0.5} sx={{ mt: 1.5, maxHeight: 220, overflow: 'auto' }}>
+                {models.map(m => (
+                  <Stack key={m.id} direction="row" spacing={1} alignItems="center" sx={{ py: 0.25 }}>
+                    <Typography variant="body2" sx={{ flex: 1, fontWeight: m.id === value ? 700 : 400 }} noWrap>
+                      {m.id}
+                    </Typography>
+                    <Typography variant="caption" sx={{ color: '#71717a' }}>
+                      {formatBytes(m.size)}
+                    </Typography>
+                    {pendingDelete === m.id ? (
+                      <>
+                        <Button size="small" color="error" onClick={() => handleDelete(m.id)}>
+                          Delete
+                        </Button>
+                        <Button size="small" onClick={() => setPendingDelete(null)} sx={{ color: 'text.secondary' }}>
+                          Keep
+                        </Button>
+                      </>
+                    ) : (
+                      <Tooltip title="Delete from the Ollama server">
+                        <IconButton size="small" onClick={() => setPendingDelete(m.id)} disabled={!!pull}>
+                          <DeleteIcon fontSize="small" />
+                        </IconButton>
+                      </Tooltip>
+                    )}
+                  </Stack>
+                ))}
+                {models.length === 0 && !loading && (
+                  <Typography variant="caption" sx={{ color: '#71717a' }}>
+                    No local models found
+                  </Typography>
+                )}
+              </Stack>
+            </Box>
+          </Collapse>
+        </Box>
+      )}
+    </Box>
+  );
+}
+
+export default ModelPicker;
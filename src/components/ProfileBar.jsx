@@ -0,0 +1,110 @@
+import React, { useState } from 'react';
+import {
+  Box,
+  Typography,
+  Button,
+  IconButton,
+  Stack,
+  TextField,
+  Tooltip,
+  Select,
+  MenuItem,
+  FormControl,
+  InputLabel,
+} from '@mui/material';
+import {
+  Add as AddIcon,
+  Delete as DeleteIcon,
+} from '@mui/icons-material';
+
+// Profile chooser at the top of the About You and Company tabs: which profile the fields below
+// edit, plus the name and auto-select rules of added profiles. Default (id 'default') is the
+// top-level context and can't be renamed, given rules or deleted.
+function ProfileBar({ profiles, editingId, activeId, onSelect, onAdd, onChange, onDelete }) {
+  const [pendingDelete, setPendingDelete] = useState(false);
+  const editing = profiles.find(profile => profile.id === editingId);
+  const isDefault = editingId === 'default';
+
+  const handleSelect = (id) => {
+    setPendingDelete(false);
+    onSelect(id);
+  };
+
+  return (
+    <Box sx={{ p: 2, mb: 3, background: '#0f0f12', border: '1px solid #27272a', borderRadius: 1 }}>
+      <Stack direction="row" spacing={1} alignItems="center">
+        <FormControl size="small" sx={{ minWidth: 220 }}>
+          <InputLabel>Profile</InputLabel>
+          <Select value={editingId} label="Profile" onChange={(e) => handleSelect(e.target.value)}>
+            {profiles.map(profile => (
+              <MenuItem key={profile.id} value={profile.id}>
+                {profile.name}{profile.id === activeId ? ' (active)' : ''}
+              </MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+        <Button size="small" startIcon={<AddIcon />} onClick={onAdd} disabled={profiles.length > 10}>
+          New Profile
+        </Button>
+        <Box sx={{ flex: 1 }} />
+        {!isDefault && (pendingDelete ? (
+          <>
+            <Button size="small" color="error" onClick={() => { setPendingDelete(false); onDelete(editingId); }}>
+              Delete
+            </Button>
+            <Button size="small" onClick={() => setPendingDelete(false)} sx={{ color: 'text.secondary' }}>
+              Keep
+            </Button>
+          </>
+        ) : (
+          <Tooltip title="Delete this profile">
+            <IconButton size="small" onClick={() => setPendingDelete(true)}>
+              <DeleteIcon fontSize="small" />
+            </IconButton>
+          </Tooltip>
+        ))}
+      </Stack>
+
+      <Typography variant="caption" sx={{ display: 'block', color: 'text.secondary', mt: 1 }}>
+        {isDefault
+          ? 'The fields below belong to the Default profile, used when no other profile is active or matches.'
+          : `The fields below belong to "${editing?.name || ''}". Switch the active profile from the header.`}
+      </Typography>
+
+      {!isDefault && editing && (
+        <Stack spacing={1.5} sx={{ mt: 2 }}>
+          <TextField
+            size="small"
+            label="Profile name"
+            value={editing.name}
+            onChange={(e) => onChange(editingId, { name: e.target.value })}
+            inputProps={{ maxLength: 60 }}
+            placeholder="e.g. Sales lead"
+          />
+          <Stack direction="row" spacing={1.5}>
+            <TextField
+              size="small"
+              fullWidth
+              label="Auto-select for mailbox accounts"
+              value={editing.rules.accounts}
+              onChange={(e) => onChange(editingId, { rules: { ...editing.rules, accounts: e.target.value } })}
+              placeholder="sales@company.com"
+              helperText="Outlook account / mailbox names (your own address for a mail folder), comma separated"
+            />
+            <TextField
+              size="small"
+              fullWidth
+              label="Auto-select for domains"
+              value={editing.rules.domains}
+              onChange={(e) => onChange(editingId, { rules: { ...editing.rules, domains: e.target.value } })}
+              placeholder="customer.com, partner.de"
+              helperText="Matches the sender and To/Cc addresses"
+            />
+          </Stack>
+        </Stack>
+      )}
+    </Box>
+  );
+}
+
+export default ProfileBar;
@@ -63,6 +63,67 @@ const PLACEHOLDERS = [
   { key: '{date}', desc: 'Email date' },
 ];
 
+// Generation overrides are edited as strings; blank fields fall back to the AI settings
+const EMPTY_GENERATION = { model: '', temperature: '', maxTokens: '', topP: '', stop: '' };
+
+const toGenerationForm = (generation = {}) => ({
+  model: generation.model || '',
+  temperature: generation.temperature ?? '',
+  maxTokens: generation.maxTokens ?? '',
+  topP: generation.topP ?? '',
+  stop: (generation.stop || []).join('\n'),
+});
+
+const toGenerationPayload = (form) => ({
+  model: form.model.trim(),
+  temperature: form.temperature,
+  maxTokens: form.maxTokens,
+  topP: form.topP,
+  stop: form.stop.split('\n').filter(seq => seq.length > 0),
+});
+
+const describeGeneration = (generation) => [
+  generation.model && `model ${generation.model}`,
+  generation.temperature !== undefined && `temperature ${generation.temperature}`,
+  generation.maxTokens !== undefined && `max tokens ${generation.maxTokens}`,
+  generation.topP !== undefined && `top_p ${generation.topP}`,
+  generation.stop?.length && `stop ${generation.stop.map(seq => JSON.stringify(seq)).join(', ')}`,
+].filter(Boolean).join(' · ');
+
+// Starting point for a structured prompt, e.g. "Action Items Only". Object roots work with every
+// provider's native JSON mode (other roots are wrapped, see processStructuredPrompt in main.js).
+const EXAMPLE_OUTPUT_SCHEMA = {
+  type: 'object',
+  properties: {
+    actionItems: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          task: { type: 'string' },
+          owner: { type: 'string' },
+          dueDate: { type: 'string' },
+        },
+        required: ['task'],
+      },
+    },
+  },
+  required: ['actionItems'],
+};
+
+// Output schema is edited as JSON text; returns an error message or '' when blank/valid
+const getSchemaError = (text) => {
+  if (!text.trim()) return '';
+  try {
+    const schema = JSON.parse(text);
+    return schema && typeof schema === 'object' && !Array.isArray(schema) && schema.type
+      ? ''
+      : 'Schema must be an object with a "type"';
+  } catch (error) {
+    return `Invalid JSON: ${error.message}`;
+  }
+};
+
 function PromptsTab({ showMessage, isElectron, onPromptsChange }) {
   const [prompts, setPrompts] = useState([]);
   const [loading, setLoading] = useState(true);
@@ -79,6 +140,8 @@ function PromptsTab({ showMessage, isElectron, onPromptsChange }) {
     description: '',
     template: '',
     category: 'custom',
+    generation: EMPTY_GENERATION,
+    outputSchema: '',
   });
 
   // Load prompts
@@ -127,6 +190,10 @@ function PromptsTab({ showMessage, isElectron, onPromptsChange }) {
   const handleFormChange = (field, value) => {
     setFormData(prev => ({ ...prev, [field]: value }));
   };
+  
+  const handleGenerationChange = (field, value) => {
+    setFormData(prev => ({ ...prev, generation: { ...prev.generation, [field]: value } }));
+  };
 
   // Open dialog for new prompt
   const handleNewPrompt = () => {
@@ -136,6 +203,8 @@ function PromptsTab({ showMessage, isElectron, onPromptsChange }) {
       description: '',
       template: '',
       category: 'custom',
+      generation: EMPTY_GENERATION,
+      outputSchema: '',
     });
     setDialogOpen(true);
   };
@@ -148,6 +217,8 @@ function PromptsTab({ showMessage, isElectron, onPromptsChange }) {
       description: prompt.description || '',
       template: prompt.template,
       category: prompt.category,
+      generation: toGenerationForm(prompt.generation),
+      outputSchema: prompt.outputSchema ? JSON.stringify(prompt.outputSchema, null, 2) : '',
     });
     setDialogOpen(true);
   };
@@ -158,13 +229,18 @@ function PromptsTab({ showMessage, isElectron, onPromptsChange }) {
       showMessage('warning', 'Name and template are required');
       return;
     }
+    if (getSchemaError(formData.outputSchema)) {
+      showMessage('warning', getSchemaError(formData.outputSchema));
+      return;
+    }
 
     try {
+      const promptData = { ...formData, generation: toGenerationPayload(formData.generation) };
       let result;
       if (editingPrompt) {
-        result = await window.electronAPI.updatePrompt(editingPrompt.id, formData);
+        result = await window.electronAPI.updatePrompt(editingPrompt.id, promptData);
       } else {
-        result = await window.electronAPI.addPrompt(formData);
+        result = await window.electronAPI.addPrompt(promptData);
       }
 
       if (result.success) {
@@ -347,6 +423,24 @@ function PromptsTab({ showMessage, isElectron, onPromptsChange }) {
                             sx={{ height: 18, fontSize: '0.65rem', background: 'rgba(34, 197, 94, 0.2)', color: '#22c55e' }} 
                           />
                         )}
+                        {prompt.generation && (
+                          <Tooltip title={describeGeneration(prompt.generation)}>
+                            <Chip 
+                              label={prompt.generation.model || 'Custom settings'} 
+                              size="small" 
+                              sx={{ height: 18, fontSize: '0.65rem', background: 'rgba(59, 130, 246, 0.2)', color: '#60a5fa' }} 
+                            />
+                          </Tooltip>
+                        )}
+                        {prompt.outputSchema && (
+                          <Tooltip title="Returns structured JSON validated against a schema">
+                            <Chip 
+                              label="JSON" 
+                              size="small" 
+                              sx={{ height: 18, fontSize: '0.65rem', background: 'rgba(168, 85, 247, 0.2)', color: '#c084fc' }} 
+                            />
+                          </Tooltip>
+                        )}
                       </Stack>
                       
                       {prompt.description && (
@@ -519,6 +613,106 @@ function PromptsTab({ showMessage, isElectron, onPromptsChange }) {
                 },
               }}
             />
+
+            <Box>
+              <Typography variant="subtitle2" sx={{ mb: 0.5, color: 'text.secondary' }}>
+                Model & Generation (optional)
+              </Typography>
+              <Typography variant="caption" sx={{ display: 'block', color: '#71717a', mb: 2 }}>
+                Leave blank to use the AI settings. When several selected prompts disagree, the lowest
+                temperature and top_p and the highest max tokens are used.
+              </Typography>
+              <Stack direction="row" spacing={2} sx={{ mb: 2 }}>
+                <TextField
+                  fullWidth
+                  size="small"
+                  label="Model"
+                  value={formData.generation.model}
+                  onChange={(e) => handleGenerationChange('model', e.target.value)}
+                  placeholder="Default model"
+                />
+                <TextField
+                  size="small"
+                  type="number"
+                  label="Temperature"
+                  value={formData.generation.temperature}
+                  onChange={(e) => handleGenerationChange('temperature', e.target.value)}
+                  inputProps={{ min: 0, max: 2, step: 0.1 }}
+                  placeholder="0.7"
+                  sx={{ width: 130 }}
+                />
+              </Stack>
+              <Stack direction="row" spacing={2} sx={{ mb: 2 }}>
+                <TextField
+                  fullWidth
+                  size="small"
+                  type="number"
+                  label="Max Tokens"
+                  value={formData.generation.maxTokens}
+                  onChange={(e) => handleGenerationChange('maxTokens', e.target.value)}
+                  inputProps={{ min: 1 }}
+                  placeholder="2000"
+                />
+                <TextField
+                  fullWidth
+                  size="small"
+                  type="number"
+                  label="Top P"
+                  value={formData.generation.topP}
+                  onChange={(e) => handleGenerationChange('topP', e.target.value)}
+                  inputProps={{ min: 0, max: 1, step: 0.05 }}
+                />
+              </Stack>
+              <TextField
+                fullWidth
+                size="small"
+                label="Stop Sequences (one per line)"
+                value={formData.generation.stop}
+                onChange={(e) => handleGenerationChange('stop', e.target.value)}
+                multiline
+                minRows={1}
+                maxRows={4}
+              />
+            </Box>
+
+            <Box>
+              <Stack direction="row" alignItems="center" justifyContent="space-between" sx={{ mb: 0.5 }}>
+                <Typography variant="subtitle2" sx={{ color: 'text.secondary' }}>
+                  Structured Output (optional)
+                </Typography>
+                {!formData.outputSchema.trim() && (
+                  <Button
+                    size="small"
+                    onClick={() => handleFormChange('outputSchema', JSON.stringify(EXAMPLE_OUTPUT_SCHEMA, null, 2))}
+                  >
+                    Insert example
+                  </Button>
+                )}
+              </Stack>
+              <Typography variant="caption" sx={{ display: 'block', color: '#71717a', mb: 2 }}>
+                A JSON schema makes this prompt return data instead of text. It runs as its own request,
+                is checked against the schema and shown as a table or card you can copy field by field.
+                Smart Shot writes one reply, so there the prompt is used as plain instructions.
+              </Typography>
+              <TextField
+                fullWidth
+                size="small"
+                label="Output JSON Schema"
+                value={formData.outputSchema}
+                onChange={(e) => handleFormChange('outputSchema', e.target.value)}
+                error={!!getSchemaError(formData.outputSchema)}
+                helperText={getSchemaError(formData.outputSchema) || ' '}
+                multiline
+                minRows={2}
+                maxRows={10}
+                sx={{
+                  '& .MuiInputBase-input': {
+                    fontFamily: 'monospace',
+                    fontSize: '0.85rem',
+                  },
+                }}
+              />
+            </Box>
           </Stack>
         </DialogContent>
 
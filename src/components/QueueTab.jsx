@@ -0,0 +1,209 @@
+import React, { useState } from 'react';
+import {
+  Box,
+  Paper,
+  Typography,
+  Button,
+  Stack,
+  IconButton,
+  Tooltip,
+  Chip,
+  Collapse,
+  CircularProgress,
+} from '@mui/material';
+import {
+  Replay as RetryIcon,
+  Delete as DiscardIcon,
+  ContentCopy as CopyIcon,
+  OpenInNew as OpenInOutlookIcon,
+  CloudOff as OfflineIcon,
+  ExpandMore as ExpandMoreIcon,
+  ExpandLess as ExpandLessIcon,
+} from '@mui/icons-material';
+
+const STATUS_STYLES = {
+  running: { label: 'Running', background: 'rgba(6, 182, 212, 0.25)', color: '#22d3ee' },
+  pending: { label: 'Waiting for provider', background: 'rgba(234, 179, 8, 0.25)', color: '#facc15' },
+  failed: { label: 'Failed', background: 'rgba(239, 68, 68, 0.2)', color: '#f87171' },
+  done: { label: 'Done', background: 'rgba(34, 197, 94, 0.3)', color: '#4ade80' },
+};
+
+const STATUS_ORDER = ['running', 'pending', 'failed', 'done'];
+
+// AI requests saved while no provider was reachable (see OFFLINE JOB QUEUE in main.js).
+// jobs come from App, which follows 'job-queue-updated'; createReply is App's reply-with-safety-check.
+function QueueTab({ jobs, showMessage, createReply }) {
+  const [expandedId, setExpandedId] = useState(null);
+
+  const sortedJobs = [...jobs].sort((a, b) => (
+    STATUS_ORDER.indexOf(a.status) - STATUS_ORDER.indexOf(b.status)
+    || (b.createdAt || '').localeCompare(a.createdAt || '')
+  ));
+  const counts = Object.fromEntries(STATUS_ORDER.map(status => [status, jobs.filter(job => job.status === status).length]));
+
+  const handleRetry = async (id) => {
+    const result = await window.electronAPI.retryQueuedJob(id);
+    if (result.success) {
+      showMessage('info', 'Retrying as soon as the AI provider answers');
+    } else {
+      showMessage('error', result.error || 'Retry failed');
+    }
+  };
+
+  const handleDiscard = async (id) => {
+    const result = await window.electronAPI.discardQueuedJob(id);
+    if (!result.success) {
+      showMessage('error', result.error || 'Discard failed');
+    }
+  };
+
+  const handleCopy = (content) => {
+    navigator.clipboard.writeText(content);
+    showMessage('success', 'Copied to clipboard!');
+  };
+
+  const handleOpenInOutlook = async (entryId, { content, sources }) => {
+    try {
+      showMessage('info', 'Opening reply in Outlook...');
+      const result = await createReply(entryId, content, true, sources);
+      if (result.success) {
+        showMessage('success', 'Reply opened in Outlook! Review and send when ready.');
+      } else {
+        showMessage('error', result.message);
+      }
+    } catch (error) {
+      showMessage('error', `Error: ${error.message}`);
+    }
+  };
+
+  return (
+    <Stack spacing={2} sx={{ height: '100%', overflow: 'auto' }}>
+      <Stack direction="row" spacing={1} alignItems="center" sx={{ flexWrap: 'wrap', gap: 1 }}>
+        <Typography variant="body2" sx={{ color: 'text.secondary', mr: 1 }}>
+          Requests made while the AI provider was unreachable run automatically when it is back.
+        </Typography>
+        {STATUS_ORDER.filter(status => counts[status] > 0).map(status => (
+          <Chip
+            key={status}
+            label={`${counts[status]} ${STATUS_STYLES[status].label.toLowerCase()}`}
+            size="small"
+            sx={{ background: STATUS_STYLES[status].background, color: STATUS_STYLES[status].color, fontWeight: 600 }}
+          />
+        ))}
+      </Stack>
+
+      {sortedJobs.map((job) => {
+        const style = STATUS_STYLES[job.status] || STATUS_STYLES.pending;
+        const expanded = expandedId === job.id;
+        return (
+          <Paper key={job.id} sx={{ p: 2, background: '#18181b', border: '1px solid #27272a', borderRadius: 2 }}>
+            <Stack direction="row" spacing={1.5} alignItems="center">
+              <Chip
+                icon={job.status === 'running' ? <CircularProgress size={12} color="inherit" /> : undefined}
+                label={style.label}
+                size="small"
+                sx={{ background: style.background, color: style.color, fontWeight: 600 }}
+              />
+              <Box sx={{ flex: 1, minWidth: 0 }}>
+                <Typography variant="subtitle2" sx={{ fontWeight: 700 }} noWrap>
+                  {job.label}
+                </Typography>
+                <Typography variant="caption" sx={{ color: '#71717a' }} noWrap component="div">
+                  {job.email?.from ? `${job.email.from} · ` : ''}
+                  Queued {new Date(job.createdAt).toLocaleString()}
+                  {job.attempts > 0 ? ` · ${job.attempts} attempt${job.attempts === 1 ? '' : 's'}` : ''}
+                </Typography>
+              </Box>
+              {job.status === 'done' && (
+                <>
+                  {job.email?.entryId && (
+                    <Tooltip title="Open as Reply in Outlook">
+                      <IconButton
+                        size="small"
+                        onClick={() => handleOpenInOutlook(job.email.entryId, job.result)}
+                        sx={{ color: '#22c55e' }}
+                      >
+                        <OpenInOutlookIcon fontSize="small" />
+                      </IconButton>
+                    </Tooltip>
+                  )}
+                  <Tooltip title="Copy to clipboard">
+                    <IconButton size="small" onClick={() => handleCopy(job.result.content)} sx={{ color: 'primary.main' }}>
+                      <CopyIcon fontSize="small" />
+                    </IconButton>
+                  </Tooltip>
+                  <Tooltip title={expanded ? 'Hide result' : 'Show result'}>
+                    <IconButton size="small" onClick={() => setExpandedId(expanded ? null : job.id)} sx={{ color: 'text.secondary' }}>
+                      {expanded ? <ExpandLessIcon fontSize="small" /> : <ExpandMoreIcon fontSize="small" />}
+                    </IconButton>
+                  </Tooltip>
+                </>
+              )}
+              {(job.status === 'pending' || job.status === 'failed') && (
+                <Button size="small" startIcon={<RetryIcon />} onClick={() => handleRetry(job.id)}>
+                  Retry
+                </Button>
+              )}
+              <Tooltip title="Discard">
+                <IconButton size="small" onClick={() => handleDiscard(job.id)} sx={{ color: 'text.secondary' }}>
+                  <DiscardIcon fontSize="small" />
+                </IconButton>
+              </Tooltip>
+            </Stack>
+
+            {job.error && job.status !== 'done' && (
+              <Typography variant="caption" sx={{ display: 'block', mt: 1, color: job.status === 'failed' ? '#f87171' : '#a1a1aa' }}>
+                {job.error}
+              </Typography>
+            )}
+
+            {job.status === 'done' && (
+              <Collapse in={expanded}>
+                <Box
+                  sx={{
+                    mt: 1.5,
+                    p: 2,
+                    background: 'rgba(15, 15, 18, 0.8)',
+                    borderRadius: 2,
+                    maxHeight: 300,
+                    overflow: 'auto',
+                    whiteSpace: 'pre-wrap',
+                    wordBreak: 'break-word',
+                    color: '#e4e4e7',
+                    fontSize: '0.9rem',
+                    lineHeight: 1.7,
+                  }}
+                >
+                  {job.result?.content}
+                </Box>
+              </Collapse>
+            )}
+          </Paper>
+        );
+      })}
+
+      {jobs.length === 0 && (
+        <Paper
+          sx={{
+            p: 4,
+            background: '#1a1a1f',
+            border: '1px dashed #3f3f46',
+            textAlign: 'center',
+            borderRadius: 2,
+          }}
+        >
+          <OfflineIcon sx={{ fontSize: 48, color: '#3f3f46', mb: 2 }} />
+          <Typography variant="h6" sx={{ color: 'text.secondary', mb: 1 }}>
+            Queue is Empty
+          </Typography>
+          <Typography variant="body2" sx={{ color: '#71717a' }}>
+            When the AI provider can&apos;t be reached (offline, Ollama not started), summaries, drafts and
+            file analyses wait here and run as soon as it is back.
+          </Typography>
+        </Paper>
+      )}
+    </Stack>
+  );
+}
+
+export default QueueTab;
@@ -0,0 +1,124 @@
+import React from 'react';
+import {
+  Box,
+  Typography,
+  IconButton,
+  Chip,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+} from '@mui/material';
+import { Close as CloseIcon } from '@mui/icons-material';
+
+// Same shape as PLACEHOLDER_PATTERN in main.js, split out so placeholders can be highlighted
+const PLACEHOLDER_SPLIT = /(\[(?:PERSON|EMAIL|PHONE|ACCOUNT|IBAN|CARD|ADDRESS)_\d+(?:_FIRST|_LAST)?\])/g;
+
+const SKIP_REASONS = {
+  disabled: 'PII redaction is off (Settings → AI Provider), so the text below is sent as is.',
+  local: 'The provider runs locally, so nothing is redacted ("Always skip for local providers").',
+};
+
+function highlightPlaceholders(text) {
+  return text.split(PLACEHOLDER_SPLIT).map((part, index) => (
+    index % 2 === 1
+      ? <Box key={index} component="span" sx={{ background: 'rgba(168, 85, 247, 0.3)', color: '#c084fc', borderRadius: 0.5, px: 0.25 }}>{part}</Box>
+      : <React.Fragment key={index}>{part}</React.Fragment>
+  ));
+}
+
+// Exactly what a multi-prompt run sends to the primary provider (from previewRedaction),
+// with the placeholder → real value mapping that stays on this computer.
+function RedactionPreview({ preview, onClose }) {
+  if (!preview) return null;
+
+  return (
+    <Dialog
+      open
+      onClose={onClose}
+      fullWidth
+      maxWidth="lg"
+      PaperProps={{ sx: { background: '#18181b', border: '1px solid #27272a' } }}
+    >
+      <DialogTitle sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between' }}>
+        What&apos;s sent to {preview.provider}
+        <IconButton onClick={onClose} size="small">
+          <CloseIcon />
+        </IconButton>
+      </DialogTitle>
+      <DialogContent>
+        {preview.skipped ? (
+          <Typography variant="body2" sx={{ color: '#facc15', mb: 2 }}>
+            {SKIP_REASONS[preview.skipped]}
+          </Typography>
+        ) : (
+          <Typography variant="body2" sx={{ color: 'text.secondary', mb: 2 }}>
+            {preview.entities.length} value{preview.entities.length === 1 ? '' : 's'} replaced. Long threads may
+            still be condensed before sending; that step is redacted the same way.
+          </Typography>
+        )}
+
+        {preview.messages.map((message, index) => (
+          <Box key={index} sx={{ mb: 2 }}>
+            <Chip
+              label={message.role}
+              size="small"
+              sx={{ mb: 1, height: 20, fontSize: '0.7rem', background: '#27272a', color: '#a1a1aa' }}
+            />
+            <Typography
+              component="div"
+              variant="body2"
+              sx={{
+                p: 1.5,
+                maxHeight: 320,
+                overflow: 'auto',
+                whiteSpace: 'pre-wrap',
+                wordBreak: 'break-word',
+                fontFamily: 'monospace',
+                fontSize: '0.8rem',
+                color: '#e4e4e7',
+                background: 'rgba(15, 15, 18, 0.8)',
+                border: '1px solid #27272a',
+                borderRadius: 1,
+              }}
+            >
+              {highlightPlaceholders(message.text)}
+            </Typography>
+          </Box>
+        ))}
+
+        {preview.entities.length > 0 && (
+          <>
+            <Typography variant="subtitle2" sx={{ fontWeight: 600, mb: 1 }}>
+              Kept on this computer
+            </Typography>
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>Placeholder</TableCell>
+                  <TableCell>Type</TableCell>
+                  <TableCell>Real value</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {preview.entities.map(entity => (
+                  <TableRow key={entity.placeholder}>
+                    <TableCell sx={{ fontFamily: 'monospace', color: '#c084fc' }}>{entity.placeholder}</TableCell>
+                    <TableCell sx={{ color: '#a1a1aa' }}>{entity.type}</TableCell>
+                    <TableCell>{entity.value}</TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </>
+        )}
+      </DialogContent>
+    </Dialog>
+  );
+}
+
+export default RedactionPreview;
@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import {
   Dialog,
   DialogTitle,
@@ -25,6 +25,8 @@ import {
   Tabs,
   Tab,
   Switch,
+  Tooltip,
+  LinearProgress,
 } from '@mui/material';
 import {
   Close as CloseIcon,
@@ -39,16 +41,43 @@ import {
   Delete as DeleteIcon,
   Download as DownloadIcon,
   Refresh as RefreshIcon,
+  Add as AddIcon,
+  ArrowUpward as ArrowUpIcon,
+  QueryStats as UsageIcon,
+  Folder as FolderIcon,
+  CreateNewFolder as AddFolderIcon,
 } from '@mui/icons-material';
+import ModelPicker from './ModelPicker';
+import ProfileBar from './ProfileBar';
 
-const AI_PROVIDERS = [
-  { id: 'grok', name: 'Grok (xAI)', model: 'grok-4', endpoint: 'https://api.x.ai/v1/chat/completions' },
-  { id: 'ollama', name: 'Ollama (Direct)', model: 'llama3.2', endpoint: 'http://localhost:11434/api/chat', editableEndpoint: true },
-  { id: 'openwebui', name: 'Open WebUI', model: 'llama3.3', endpoint: 'http://localhost:8080/api/chat/completions', editableEndpoint: true },
-  { id: 'openai', name: 'OpenAI', model: 'gpt-4', endpoint: 'https://api.openai.com/v1/chat/completions' },
-  { id: 'custom', name: 'Custom API', model: '', endpoint: '' },
+// Entity types PII redaction can replace (keys match REDACTION_TYPES in main.js)
+const REDACTION_TYPE_LABELS = [
+  { key: 'person', label: 'Names' },
+  { key: 'email', label: 'Email addresses' },
+  { key: 'phone', label: 'Phone numbers' },
+  { key: 'account', label: 'Account numbers' },
+  { key: 'iban', label: 'IBANs' },
+  { key: 'card', label: 'Card numbers' },
+  { key: 'address', label: 'Street addresses' },
 ];
 
+const USAGE_RANGES = [
+  { value: 1, label: 'Today' },
+  { value: 7, label: 'Last 7 days' },
+  { value: 30, label: 'Last 30 days' },
+  { value: 0, label: 'All time' },
+];
+
+const USAGE_GROUPS = [
+  { key: 'byDay', label: 'Day' },
+  { key: 'byModel', label: 'Model' },
+  { key: 'byPrompt', label: 'Prompt' },
+  { key: 'byFeature', label: 'Feature' },
+];
+
+const formatCost = (cost) => (cost > 0 && cost < 0.01 ? '<$0.01' : `$${cost.toFixed(2)}`);
+const formatCount = (count) => Math.round(count).toLocaleString();
+
 function Settings({ open, onClose, settings, onSaveSettings }) {
   const [tabValue, setTabValue] = useState(0);
   
@@ -60,6 +89,26 @@ function Settings({ open, onClose, settings, onSaveSettings }) {
   const [showApiKey, setShowApiKey] = useState(false);
   const [saveStatus, setSaveStatus] = useState(null);
   const [hasExistingKey, setHasExistingKey] = useState(false);
+  const [streaming, setStreaming] = useState(true);
+  
+  // Provider registry from the main process - drives the AI Provider tab fields
+  const [providers, setProviders] = useState([]);
+  const [visionModelPatterns, setVisionModelPatterns] = useState([]);
+  const [vision, setVision] = useState('auto'); // Image input: 'auto' | 'on' | 'off'
+  
+  // Retry and ordered fallback chain ({ provider, model, endpoint, apiKey, hasApiKey })
+  const [maxRetries, setMaxRetries] = useState(2);
+  const [contextWindow, setContextWindow] = useState(0); // 0 = auto-detect
+  const [fallbackProviders, setFallbackProviders] = useState([]);
+  const [cacheSettings, setCacheSettings] = useState({ enabled: true, ttlHours: 24, maxSizeMb: 50 });
+  const [agentSettings, setAgentSettings] = useState({ enabled: false, maxToolCalls: 5 });
+  const [cacheStats, setCacheStats] = useState(null);
+  const [searchSettings, setSearchSettings] = useState({ enabled: false, embeddingModel: '' });
+  const [searchIndexStatus, setSearchIndexStatus] = useState(null);
+  const [historySettings, setHistorySettings] = useState({ enabled: false, retentionDays: 90 });
+  const [historyStatus, setHistoryStatus] = useState(null);
+  const [redactionSettings, setRedactionSettings] = useState({ enabled: false, skipLocal: true, types: {} });
+  const [mailSettings, setMailSettings] = useState({ backend: 'outlook', folder: '' }); // Mail source, see MAIL BACKENDS in main.js
   
   // Global Context settings
   const [globalContext, setGlobalContext] = useState({
@@ -77,12 +126,31 @@ function Settings({ open, onClose, settings, onSaveSettings }) {
   const [companyContext, setCompanyContext] = useState({
     enabled: false,
     content: '',
+    retrieval: true,
+    maxPassages: 5,
+    sources: [],
   });
+  const [knowledgeStatus, setKnowledgeStatus] = useState(null);
+  const [knowledgeProgress, setKnowledgeProgress] = useState(null);
+  const [knowledgeError, setKnowledgeError] = useState(null);
+  
+  // Context profiles besides Default (rules as comma separated text while editing)
+  const [profiles, setProfiles] = useState([]);
+  const [activeProfileId, setActiveProfileId] = useState('default');
+  const [editingProfileId, setEditingProfileId] = useState('default');
   
   // Telemetry settings
   const [telemetryEnabled, setTelemetryEnabled] = useState(false);
   const [crashReports, setCrashReports] = useState([]);
   const [loadingReports, setLoadingReports] = useState(false);
+  
+  // Usage ledger
+  const [usageDays, setUsageDays] = useState(30);
+  const [usageGroup, setUsageGroup] = useState('byDay');
+  const [usageSummary, setUsageSummary] = useState(null);
+  const [usagePrices, setUsagePrices] = useState([]);
+  const [pricesStatus, setPricesStatus] = useState(null);
+  const [pendingUsageClear, setPendingUsageClear] = useState(false);
 
   // Load existing settings when dialog opens
   useEffect(() => {
@@ -91,6 +159,17 @@ function Settings({ open, onClose, settings, onSaveSettings }) {
       setModel(settings.model || 'grok-4');
       setEndpoint(settings.endpoint || '');
       setHasExistingKey(settings.hasApiKey || false);
+      setStreaming(settings.streaming !== false);
+      setMaxRetries(settings.retry?.maxRetries ?? 2);
+      setContextWindow(settings.contextWindow || 0);
+      setVision(settings.vision || 'auto');
+      if (settings.cache) setCacheSettings(settings.cache);
+      if (settings.agent) setAgentSettings(settings.agent);
+      if (settings.search) setSearchSettings(settings.search);
+      if (settings.history) setHistorySettings(settings.history);
+      if (settings.redaction) setRedactionSettings(settings.redaction);
+      if (settings.mail) setMailSettings(settings.mail);
+      setFallbackProviders((settings.fallbackProviders || []).map(fallback => ({ ...fallback, apiKey: '' })));
       
       // Load global context
       if (settings.globalContext) {
@@ -111,14 +190,147 @@ function Settings({ open, onClose, settings, onSaveSettings }) {
         setCompanyContext({
           enabled: settings.companyContext.enabled || false,
           content: settings.companyContext.content || '',
+          retrieval: settings.companyContext.retrieval !== false,
+          maxPassages: settings.companyContext.maxPassages || 5,
+          sources: settings.companyContext.sources || [],
         });
       }
       
+      // Load context profiles
+      setProfiles((settings.profiles || []).map(profile => ({
+        ...profile,
+        rules: { accounts: (profile.rules?.accounts || []).join(', '), domains: (profile.rules?.domains || []).join(', ') },
+      })));
+      setActiveProfileId(settings.activeProfileId || 'default');
+      setEditingProfileId(settings.activeProfileId || 'default');
+      
       // Load telemetry setting
       setTelemetryEnabled(settings.telemetryEnabled || false);
     }
   }, [open, settings]);
   
+  // Load provider metadata when dialog opens
+  useEffect(() => {
+    if (!open || !window.electronAPI?.getAIProviders) return;
+    
+    window.electronAPI.getAIProviders()
+      .then((result) => {
+        if (result.success) {
+          setProviders(result.providers || []);
+          setVisionModelPatterns((result.visionModelPatterns || []).map(source => new RegExp(source, 'i')));
+        }
+      })
+      .catch((e) => console.error('Error loading AI providers:', e));
+  }, [open]);
+  
+  // Load response cache size when the AI Provider tab is shown
+  const loadCacheStats = async () => {
+    if (!window.electronAPI?.getAICacheStats) return;
+    const result = await window.electronAPI.getAICacheStats();
+    if (result.success) {
+      setCacheStats(result);
+    }
+  };
+  
+  const loadSearchIndexStatus = async () => {
+    if (!window.electronAPI?.getSemanticIndexStatus) return;
+    const result = await window.electronAPI.getSemanticIndexStatus();
+    if (result.success) {
+      setSearchIndexStatus(result);
+    }
+  };
+  
+  const loadHistoryStatus = async () => {
+    if (!window.electronAPI?.getHistoryStatus) return;
+    const result = await window.electronAPI.getHistoryStatus();
+    if (result.success) {
+      setHistoryStatus(result);
+    }
+  };
+  
+  useEffect(() => {
+    if (tabValue === 2 && open) {
+      loadCacheStats();
+      loadSearchIndexStatus();
+      loadHistoryStatus();
+    }
+  }, [tabValue, open]);
+  
+  const handleClearCache = async () => {
+    const result = await window.electronAPI.clearAICache();
+    if (result.success) {
+      loadCacheStats();
+    }
+  };
+  
+  const handleClearSearchIndex = async () => {
+    const result = await window.electronAPI.clearSemanticIndex();
+    if (result.success) {
+      loadSearchIndexStatus();
+    }
+  };
+  
+  const handleClearHistory = async () => {
+    const result = await window.electronAPI.clearHistory();
+    if (result.success) {
+      loadHistoryStatus();
+    }
+  };
+  
+  // Knowledge base folder status on the Company tab
+  const loadKnowledgeStatus = async () => {
+    if (!window.electronAPI?.getKnowledgeStatus) return;
+    const result = await window.electronAPI.getKnowledgeStatus();
+    if (result.success) {
+      setKnowledgeStatus(result);
+      setKnowledgeProgress(result.progress);
+    }
+  };
+  
+  useEffect(() => {
+    if (tabValue !== 1 || !open) return undefined;
+    loadKnowledgeStatus();
+    if (!window.electronAPI?.onKnowledgeIndexProgress) return undefined;
+    return window.electronAPI.onKnowledgeIndexProgress((progress) => {
+      if (progress.done) {
+        setKnowledgeProgress(null);
+        loadKnowledgeStatus();
+      } else {
+        setKnowledgeProgress(progress);
+      }
+    });
+  }, [tabValue, open]);
+  
+  const handleAddKnowledgeFolder = async () => {
+    const result = await window.electronAPI.selectKnowledgeFolder();
+    if (!result.success) return;
+    setCompanyContext(prev => (
+      prev.sources.some(source => source.path === result.path)
+        ? prev
+        : { ...prev, sources: [...prev.sources, { path: result.path }] }
+    ));
+  };
+  
+  const handleChooseMailFolder = async () => {
+    const result = await window.electronAPI.selectMailFolder();
+    if (result.success) {
+      setMailSettings(prev => ({ ...prev, folder: result.path }));
+    }
+  };
+  
+  const handleRemoveKnowledgeFolder = (folderPath) => {
+    setCompanyContext(prev => ({ ...prev, sources: prev.sources.filter(source => source.path !== folderPath) }));
+  };
+  
+  const handleReindexKnowledge = async () => {
+    setKnowledgeError(null);
+    const result = await window.electronAPI.reindexKnowledge(true);
+    if (!result.success) {
+      setKnowledgeError(result.error || 'Indexing failed');
+    }
+    loadKnowledgeStatus();
+  };
+  
   // Load crash reports when telemetry tab is selected
   const loadCrashReports = async () => {
     if (window.electronAPI?.getCrashReports) {
@@ -142,37 +354,138 @@ function Settings({ open, onClose, settings, onSaveSettings }) {
     }
   }, [tabValue, open]);
   
+  // Load usage totals when the usage tab is selected or the range changes
+  const loadUsageSummary = useCallback(async () => {
+    if (!window.electronAPI?.getUsageSummary) return;
+    try {
+      const result = await window.electronAPI.getUsageSummary(usageDays);
+      if (result.success) {
+        setUsageSummary(result);
+      }
+    } catch (e) {
+      console.error('Error loading usage:', e);
+    }
+  }, [usageDays]);
+  
+  useEffect(() => {
+    if (tabValue === 4 && open) {
+      loadUsageSummary();
+    }
+  }, [tabValue, open, loadUsageSummary]);
+  
+  useEffect(() => {
+    if (tabValue !== 4 || !open || !window.electronAPI?.getUsagePrices) return;
+    window.electronAPI.getUsagePrices()
+      .then((result) => setUsagePrices(result.prices || []))
+      .catch((e) => console.error('Error loading usage prices:', e));
+  }, [tabValue, open]);
+  
   // Estimate tokens (rough: ~4 chars per token)
   const estimateTokens = (text) => {
     if (!text) return 0;
     return Math.ceil(text.length / 4);
   };
   
+  // The About You fields and company notes shown belong to the profile being edited
+  const editingProfile = profiles.find(profile => profile.id === editingProfileId) || null;
+  const aboutYou = editingProfile ? editingProfile.globalContext : globalContext;
+  const companyNotes = editingProfile ? editingProfile.companyContext : companyContext;
+  
+  const handleProfileChange = (id, changes) => {
+    setProfiles(prev => prev.map(profile => (profile.id === id ? { ...profile, ...changes } : profile)));
+  };
+  
   const handleGlobalContextChange = (field, value) => {
-    setGlobalContext(prev => ({ ...prev, [field]: value }));
+    if (editingProfile) {
+      handleProfileChange(editingProfile.id, { globalContext: { ...editingProfile.globalContext, [field]: value } });
+    } else {
+      setGlobalContext(prev => ({ ...prev, [field]: value }));
+    }
+  };
+  
+  const handleCompanyNotesChange = (field, value) => {
+    if (editingProfile) {
+      handleProfileChange(editingProfile.id, { companyContext: { ...editingProfile.companyContext, [field]: value } });
+    } else {
+      setCompanyContext(prev => ({ ...prev, [field]: value }));
+    }
+  };
+  
+  // New profiles start as a copy of the one being edited
+  const handleAddProfile = () => {
+    const id = `profile-${Date.now().toString(36)}`;
+    setProfiles(prev => [...prev, {
+      id,
+      name: `Profile ${prev.length + 2}`,
+      globalContext: { ...aboutYou },
+      companyContext: { enabled: companyNotes.enabled, content: companyNotes.content },
+      rules: { accounts: '', domains: '' },
+    }]);
+    setEditingProfileId(id);
+  };
+  
+  const handleDeleteProfile = (id) => {
+    setProfiles(prev => prev.filter(profile => profile.id !== id));
+    setEditingProfileId('default');
+    if (activeProfileId === id) setActiveProfileId('default');
   };
 
   // Update model and endpoint when provider changes
-  useEffect(() => {
-    const providerConfig = AI_PROVIDERS.find(p => p.id === provider);
-    if (providerConfig && provider !== 'custom') {
-      setModel(providerConfig.model);
-      // For Ollama, only set default endpoint if current endpoint is empty or not an Ollama endpoint
-      // This preserves custom network Ollama endpoints
-      if (provider === 'ollama') {
-        if (!endpoint || !endpoint.includes('11434')) {
-          setEndpoint(providerConfig.endpoint);
-        }
-      } else if (provider === 'openwebui') {
-        // For Open WebUI, preserve custom endpoints (check for port 8080 or /api/chat/completions)
-        if (!endpoint || (!endpoint.includes('8080') && !endpoint.includes('/api/chat/completions'))) {
-          setEndpoint(providerConfig.endpoint);
-        }
-      } else {
-        setEndpoint(providerConfig.endpoint);
-      }
+  // Switching back to the saved provider restores its saved model/endpoint (e.g. a network Ollama server)
+  const handleProviderChange = (newProvider) => {
+    setProvider(newProvider);
+    
+    const providerConfig = providers.find(p => p.id === newProvider);
+    if (!providerConfig) return;
+    
+    if (newProvider === settings?.provider) {
+      setModel(settings.model || providerConfig.defaultModel);
+      setEndpoint(settings.endpoint || providerConfig.defaultEndpoint);
+    } else {
+      setModel(providerConfig.defaultModel);
+      setEndpoint(providerConfig.defaultEndpoint);
     }
-  }, [provider]);
+  };
+
+  // Fallback chain editing
+  const addFallback = () => {
+    const providerConfig = providers.find(p => p.id !== provider) || providers[0];
+    if (!providerConfig) return;
+    setFallbackProviders(prev => [...prev, {
+      provider: providerConfig.id,
+      model: providerConfig.defaultModel,
+      endpoint: providerConfig.defaultEndpoint,
+      apiKey: '',
+      hasApiKey: false,
+    }]);
+  };
+  
+  const updateFallback = (index, updates) => {
+    setFallbackProviders(prev => prev.map((fallback, i) => (i === index ? { ...fallback, ...updates } : fallback)));
+  };
+  
+  const changeFallbackProvider = (index, providerId) => {
+    const providerConfig = providers.find(p => p.id === providerId);
+    updateFallback(index, {
+      provider: providerId,
+      model: providerConfig?.defaultModel || '',
+      endpoint: providerConfig?.defaultEndpoint || '',
+      hasApiKey: false,
+    });
+  };
+  
+  const moveFallbackUp = (index) => {
+    if (index === 0) return;
+    setFallbackProviders(prev => {
+      const next = [...prev];
+      [next[index - 1], next[index]] = [next[index], next[index - 1]];
+      return next;
+    });
+  };
+  
+  const removeFallback = (index) => {
+    setFallbackProviders(prev => prev.filter((_, i) => i !== index));
+  };
 
   const handleSave = async () => {
     try {
@@ -183,8 +496,26 @@ function Settings({ open, onClose, settings, onSaveSettings }) {
         model,
         endpoint,
         apiKey: apiKey || undefined, // Only send if changed
+        streaming,
+        retry: { maxRetries },
+        contextWindow,
+        vision,
+        cache: cacheSettings,
+        agent: agentSettings,
+        search: searchSettings,
+        history: historySettings,
+        redaction: redactionSettings,
+        mail: mailSettings,
+        fallbackProviders: fallbackProviders.map(fallback => ({
+          provider: fallback.provider,
+          model: fallback.model,
+          endpoint: fallback.endpoint,
+          apiKey: fallback.apiKey || undefined, // Only send if changed
+        })),
         globalContext,
         companyContext,
+        profiles: profiles.map(profile => ({ ...profile, name: profile.name.trim() || 'Untitled profile' })),
+        activeProfileId,
         telemetryEnabled,
       });
       
@@ -216,7 +547,49 @@ function Settings({ open, onClose, settings, onSaveSettings }) {
     }
   };
 
-  const selectedProvider = AI_PROVIDERS.find(p => p.id === provider);
+  // Usage price table editing - saved separately from the rest of the settings
+  const updatePrice = (index, field, value) => {
+    setUsagePrices(prev => prev.map((price, i) => (i === index ? { ...price, [field]: value } : price)));
+    setPricesStatus(null);
+  };
+  
+  const handleSavePrices = async () => {
+    const result = await window.electronAPI.saveUsagePrices(usagePrices);
+    if (result.success) {
+      setUsagePrices(result.prices);
+      setPricesStatus('saved');
+      loadUsageSummary();
+    } else {
+      setPricesStatus(result.error || 'error');
+    }
+  };
+  
+  const handleClearUsage = async () => {
+    setPendingUsageClear(false);
+    const result = await window.electronAPI.clearUsageLedger();
+    if (result.success) {
+      loadUsageSummary();
+    }
+  };
+
+  const selectedProvider = providers.find(p => p.id === provider);
+  // Same detection as the main process (detectVisionModel), for the model being edited
+  const visionDetected = !!selectedProvider?.supportsVision &&
+    (!selectedProvider.visionByModel || visionModelPatterns.some(pattern => pattern.test(model || '')));
+  const usageRows = usageSummary?.[usageGroup] || [];
+  
+  // Shared by the About You and Company tabs
+  const profileBar = (
+    <ProfileBar
+      profiles={[{ id: 'default', name: 'Default' }, ...profiles]}
+      editingId={editingProfileId}
+      activeId={activeProfileId}
+      onSelect={setEditingProfileId}
+      onAdd={handleAddProfile}
+      onChange={handleProfileChange}
+      onDelete={handleDeleteProfile}
+    />
+  );
 
   return (
     <Dialog 
@@ -246,6 +619,8 @@ function Settings({ open, onClose, settings, onSaveSettings }) {
         <Tabs 
           value={tabValue} 
           onChange={(e, v) => setTabValue(v)}
+          variant="scrollable"
+          scrollButtons="auto"
           sx={{ 
             borderBottom: '1px solid #27272a',
             px: 2,
@@ -256,11 +631,14 @@ function Settings({ open, onClose, settings, onSaveSettings }) {
           <Tab icon={<BusinessIcon sx={{ fontSize: 18 }} />} iconPosition="start" label="Company" />
           <Tab icon={<SettingsIcon sx={{ fontSize: 18 }} />} iconPosition="start" label="AI Provider" />
           <Tab icon={<BugReportIcon sx={{ fontSize: 18 }} />} iconPosition="start" label="Telemetry" />
+          <Tab icon={<UsageIcon sx={{ fontSize: 18 }} />} iconPosition="start" label="Usage" />
         </Tabs>
 
         {/* About You Tab */}
         {tabValue === 0 && (
           <Box sx={{ p: 3 }}>
+            {profileBar}
+
             {/* Enable/Disable Toggle */}
             <Box
               sx={{
@@ -269,8 +647,8 @@ function Settings({ open, onClose, settings, onSaveSettings }) {
                 justifyContent: 'space-between',
                 p: 2,
                 mb: 2,
-                background: globalContext.enabled ? 'rgba(34, 197, 94, 0.1)' : 'rgba(239, 68, 68, 0.1)',
-                border: `1px solid ${globalContext.enabled ? 'rgba(34, 197, 94, 0.3)' : 'rgba(239, 68, 68, 0.3)'}`,
+                background: aboutYou.enabled ? 'rgba(34, 197, 94, 0.1)' : 'rgba(239, 68, 68, 0.1)',
+                border: `1px solid ${aboutYou.enabled ? 'rgba(34, 197, 94, 0.3)' : 'rgba(239, 68, 68, 0.3)'}`,
                 borderRadius: 1,
               }}
             >
@@ -279,28 +657,28 @@ function Settings({ open, onClose, settings, onSaveSettings }) {
                   Include Global Context in AI Requests
                 </Typography>
                 <Typography variant="caption" sx={{ color: 'text.secondary' }}>
-                  {globalContext.enabled 
+                  {aboutYou.enabled 
                     ? 'Your info below is sent with every AI request' 
                     : 'Disabled — only prompts are sent (faster, fewer tokens)'}
                 </Typography>
               </Box>
               <Switch
-                checked={globalContext.enabled}
+                checked={aboutYou.enabled}
                 onChange={(e) => handleGlobalContextChange('enabled', e.target.checked)}
                 color="success"
               />
             </Box>
 
-            <Alert severity="info" sx={{ mb: 3, opacity: globalContext.enabled ? 1 : 0.5 }}>
+            <Alert severity="info" sx={{ mb: 3, opacity: aboutYou.enabled ? 1 : 0.5 }}>
               This information is included in <strong>ALL</strong> AI interactions to give context about you and your preferences.
             </Alert>
 
-            <Stack spacing={2.5} sx={{ opacity: globalContext.enabled ? 1 : 0.5 }}>
+            <Stack spacing={2.5} sx={{ opacity: aboutYou.enabled ? 1 : 0.5 }}>
               <Stack direction="row" spacing={2}>
                 <TextField
                   fullWidth
                   label="Your Name"
-                  value={globalContext.name}
+                  value={aboutYou.name}
                   onChange={(e) => handleGlobalContextChange('name', e.target.value)}
                   placeholder="John Smith"
                   size="small"
@@ -308,7 +686,7 @@ function Settings({ open, onClose, settings, onSaveSettings }) {
                 <TextField
                   fullWidth
                   label="Your Role"
-                  value={globalContext.role}
+                  value={aboutYou.role}
                   onChange={(e) => handleGlobalContextChange('role', e.target.value)}
                   placeholder="Sales Director"
                   size="small"
@@ -319,7 +697,7 @@ function Settings({ open, onClose, settings, onSaveSettings }) {
                 <TextField
                   fullWidth
                   label="Company"
-                  value={globalContext.company}
+                  value={aboutYou.company}
                   onChange={(e) => handleGlobalContextChange('company', e.target.value)}
                   placeholder="Acme Corporation"
                   size="small"
@@ -327,7 +705,7 @@ function Settings({ open, onClose, settings, onSaveSettings }) {
                 <TextField
                   fullWidth
                   label="Industry"
-                  value={globalContext.industry}
+                  value={aboutYou.industry}
                   onChange={(e) => handleGlobalContextChange('industry', e.target.value)}
                   placeholder="Technology / SaaS"
                   size="small"
@@ -340,7 +718,7 @@ function Settings({ open, onClose, settings, onSaveSettings }) {
                 <FormControl component="fieldset">
                   <FormLabel sx={{ fontSize: '0.85rem', mb: 1 }}>Communication Style</FormLabel>
                   <RadioGroup
-                    value={globalContext.communicationStyle}
+                    value={aboutYou.communicationStyle}
                     onChange={(e) => handleGlobalContextChange('communicationStyle', e.target.value)}
                     row
                   >
@@ -354,7 +732,7 @@ function Settings({ open, onClose, settings, onSaveSettings }) {
                 <FormControl component="fieldset">
                   <FormLabel sx={{ fontSize: '0.85rem', mb: 1 }}>Detail Level</FormLabel>
                   <RadioGroup
-                    value={globalContext.detailLevel}
+                    value={aboutYou.detailLevel}
                     onChange={(e) => handleGlobalContextChange('detailLevel', e.target.value)}
                     row
                   >
@@ -368,7 +746,7 @@ function Settings({ open, onClose, settings, onSaveSettings }) {
               <TextField
                 fullWidth
                 label="Additional Context / Notes"
-                value={globalContext.customNotes}
+                value={aboutYou.customNotes}
                 onChange={(e) => handleGlobalContextChange('customNotes', e.target.value)}
                 placeholder="- I prefer bullet points over paragraphs&#10;- Our fiscal year ends in March&#10;- Key clients: Microsoft, Google&#10;- Always include action items"
                 multiline
@@ -383,6 +761,8 @@ function Settings({ open, onClose, settings, onSaveSettings }) {
         {/* Company Context Tab */}
         {tabValue === 1 && (
           <Box sx={{ p: 3 }}>
+            {profileBar}
+
             {/* Enable/Disable Toggle */}
             <Box
               sx={{
@@ -391,8 +771,8 @@ function Settings({ open, onClose, settings, onSaveSettings }) {
                 justifyContent: 'space-between',
                 p: 2,
                 mb: 3,
-                background: companyContext.enabled ? 'rgba(59, 130, 246, 0.1)' : 'rgba(239, 68, 68, 0.1)',
-                border: `1px solid ${companyContext.enabled ? 'rgba(59, 130, 246, 0.3)' : 'rgba(239, 68, 68, 0.3)'}`,
+                background: companyNotes.enabled ? 'rgba(59, 130, 246, 0.1)' : 'rgba(239, 68, 68, 0.1)',
+                border: `1px solid ${companyNotes.enabled ? 'rgba(59, 130, 246, 0.3)' : 'rgba(239, 68, 68, 0.3)'}`,
                 borderRadius: 1,
               }}
             >
@@ -401,26 +781,166 @@ function Settings({ open, onClose, settings, onSaveSettings }) {
                   Include Company Context in AI Requests
                 </Typography>
                 <Typography variant="caption" sx={{ color: 'text.secondary' }}>
-                  {companyContext.enabled 
-                    ? 'Full company context sent with every AI request' 
-                    : 'Disabled — faster responses, fewer tokens'}
+                  {!companyNotes.enabled
+                    ? 'Disabled — faster responses, fewer tokens'
+                    : (companyContext.retrieval
+                      ? 'Only the passages relevant to each request are sent, with citations'
+                      : 'Full company context sent with every AI request')}
                 </Typography>
               </Box>
               <Switch
-                checked={companyContext.enabled}
-                onChange={(e) => setCompanyContext(prev => ({ ...prev, enabled: e.target.checked }))}
+                checked={companyNotes.enabled}
+                onChange={(e) => handleCompanyNotesChange('enabled', e.target.checked)}
                 color="primary"
               />
             </Box>
 
+            {/* Retrieval vs. full text */}
+            <Box
+              sx={{
+                p: 2,
+                mb: 3,
+                background: '#0f0f12',
+                border: '1px solid #27272a',
+                borderRadius: 1,
+                opacity: companyNotes.enabled ? 1 : 0.5,
+              }}
+            >
+              <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between' }}>
+                <Box>
+                  <Typography variant="subtitle2" sx={{ fontWeight: 600 }}>
+                    Retrieve Relevant Passages
+                  </Typography>
+                  <Typography variant="caption" sx={{ color: 'text.secondary' }}>
+                    Search the notes below and the knowledge base folders for each email and send only the best
+                    matches. Answers cite them as [1], [2]... Turn off to always send the full notes.
+                  </Typography>
+                </Box>
+                <Switch
+                  checked={companyContext.retrieval}
+                  onChange={(e) => setCompanyContext(prev => ({ ...prev, retrieval: e.target.checked }))}
+                  color="primary"
+                />
+              </Box>
+              {companyContext.retrieval && (
+                <TextField
+                  size="small"
+                  type="number"
+                  label="Passages per request"
+                  value={companyContext.maxPassages}
+                  onChange={(e) => setCompanyContext(prev => ({ ...prev, maxPassages: Math.min(10, Math.max(1, parseInt(e.target.value, 10) || 1)) }))}
+                  inputProps={{ min: 1, max: 10 }}
+                  sx={{ mt: 2, width: 200 }}
+                />
+              )}
+            </Box>
+
+            {/* Knowledge Base Folders */}
+            {companyContext.retrieval && (
+              <Box sx={{ mb: 3, opacity: companyNotes.enabled ? 1 : 0.5 }}>
+                <Stack direction="row" alignItems="center" justifyContent="space-between" sx={{ mb: 1 }}>
+                  <Box>
+                    <Typography variant="subtitle2" sx={{ fontWeight: 600 }}>
+                      Knowledge Base Folders
+                    </Typography>
+                    <Typography variant="caption" sx={{ color: 'text.secondary' }}>
+                      PDF, Word, Excel, Markdown, text and CSV files, including subfolders. New folders are indexed when you save.
+                    </Typography>
+                  </Box>
+                  <Stack direction="row" spacing={1} sx={{ flexShrink: 0 }}>
+                    <Tooltip title="Read every file again">
+                      <span>
+                        <IconButton
+                          size="small"
+                          onClick={handleReindexKnowledge}
+                          disabled={!knowledgeStatus?.sources?.length || !!knowledgeStatus?.indexing || !!knowledgeProgress}
+                        >
+                          <RefreshIcon fontSize="small" />
+                        </IconButton>
+                      </span>
+                    </Tooltip>
+                    <Button size="small" variant="outlined" startIcon={<AddFolderIcon />} onClick={handleAddKnowledgeFolder}>
+                      Add Folder
+                    </Button>
+                  </Stack>
+                </Stack>
+
+                {knowledgeProgress && (
+                  <Box sx={{ mb: 1 }}>
+                    <LinearProgress
+                      variant={knowledgeProgress.total ? 'determinate' : 'indeterminate'}
+                      value={knowledgeProgress.total ? (knowledgeProgress.processed / knowledgeProgress.total) * 100 : 0}
+                      sx={{ height: 4, borderRadius: 2 }}
+                    />
+                    <Typography variant="caption" sx={{ color: '#a1a1aa' }}>
+                      Indexing {knowledgeProgress.processed + 1} of {knowledgeProgress.total}: {knowledgeProgress.file}
+                    </Typography>
+                  </Box>
+                )}
+
+                {knowledgeError && (
+                  <Alert severity="error" sx={{ mb: 1 }}>{knowledgeError}</Alert>
+                )}
+
+                <Stack spacing={1}>
+                  {companyContext.sources.map((source) => {
+                    const status = knowledgeStatus?.sources?.find(entry => entry.path === source.path);
+                    return (
+                      <Stack
+                        key={source.path}
+                        direction="row"
+                        spacing={1.5}
+                        alignItems="center"
+                        sx={{ p: 1.5, background: '#0f0f12', border: '1px solid #27272a', borderRadius: 1 }}
+                      >
+                        <FolderIcon sx={{ color: '#71717a' }} />
+                        <Box sx={{ flex: 1, minWidth: 0 }}>
+                          <Typography variant="body2" noWrap title={source.path}>
+                            {source.path}
+                          </Typography>
+                          <Typography variant="caption" sx={{ color: status && !status.exists ? '#f87171' : '#71717a' }}>
+                            {!status
+                              ? 'Not indexed yet - save to index'
+                              : (status.exists
+                                ? `${status.files} file${status.files === 1 ? '' : 's'}, ${status.chunks} passage${status.chunks === 1 ? '' : 's'}`
+                                : 'Folder not found')}
+                          </Typography>
+                        </Box>
+                        {status?.errors?.length > 0 && (
+                          <Tooltip
+                            title={status.errors.slice(0, 10).map(entry => `${entry.file}: ${entry.error}`).join('\n')}
+                            componentsProps={{ tooltip: { sx: { whiteSpace: 'pre-line' } } }}
+                          >
+                            <Chip
+                              label={`${status.errors.length} skipped`}
+                              size="small"
+                              sx={{ background: 'rgba(234, 179, 8, 0.25)', color: '#facc15' }}
+                            />
+                          </Tooltip>
+                        )}
+                        <IconButton size="small" onClick={() => handleRemoveKnowledgeFolder(source.path)}>
+                          <DeleteIcon fontSize="small" />
+                        </IconButton>
+                      </Stack>
+                    );
+                  })}
+                  {companyContext.sources.length === 0 && (
+                    <Typography variant="caption" sx={{ color: '#71717a' }}>
+                      No folders yet - only the notes below are searched.
+                    </Typography>
+                  )}
+                </Stack>
+              </Box>
+            )}
+
             {/* Token Estimate */}
-            {companyContext.content && (
+            {companyNotes.content && !companyContext.retrieval && (
               <Alert 
-                severity={estimateTokens(companyContext.content) > 2000 ? 'warning' : 'info'} 
+                severity={estimateTokens(companyNotes.content) > 2000 ? 'warning' : 'info'} 
                 sx={{ mb: 2 }}
               >
-                <strong>Estimated tokens:</strong> ~{estimateTokens(companyContext.content).toLocaleString()}
-                {estimateTokens(companyContext.content) > 2000 && (
+                <strong>Estimated tokens:</strong> ~{estimateTokens(companyNotes.content).toLocaleString()}
+                {estimateTokens(companyNotes.content) > 2000 && (
                   <> — Large context may slow responses</>
                 )}
               </Alert>
@@ -430,25 +950,26 @@ function Settings({ open, onClose, settings, onSaveSettings }) {
               Paste your detailed company information, capabilities, clients, and any context 
               you want the AI to consider when generating responses. This is ideal for company-specific 
               knowledge that applies to most communications.
+              {companyContext.retrieval && ' Separate topics with blank lines - each paragraph can be retrieved on its own.'}
             </Typography>
 
             <TextField
               fullWidth
               label="Company Context"
-              value={companyContext.content}
-              onChange={(e) => setCompanyContext(prev => ({ ...prev, content: e.target.value }))}
+              value={companyNotes.content}
+              onChange={(e) => handleCompanyNotesChange('content', e.target.value)}
               placeholder="Paste your company overview, capabilities, client list, values, processes, etc..."
               multiline
               rows={14}
               inputProps={{ maxLength: 15000, spellCheck: true }}
-              helperText={`${companyContext.content.length.toLocaleString()} / 15,000 characters`}
+              helperText={`${companyNotes.content.length.toLocaleString()} / 15,000 characters`}
               sx={{
                 '& .MuiInputBase-input': {
                   fontFamily: 'monospace',
                   fontSize: '0.85rem',
                   lineHeight: 1.5,
                 },
-                opacity: companyContext.enabled ? 1 : 0.5,
+                opacity: companyNotes.enabled ? 1 : 0.5,
               }}
             />
           </Box>
@@ -463,23 +984,33 @@ function Settings({ open, onClose, settings, onSaveSettings }) {
               <Select
                 value={provider}
                 label="AI Provider"
-                onChange={(e) => setProvider(e.target.value)}
+                onChange={(e) => handleProviderChange(e.target.value)}
               >
-                {AI_PROVIDERS.map((p) => (
+                {providers.map((p) => (
                   <MenuItem key={p.id} value={p.id}>
                     <Stack direction="row" alignItems="center" spacing={1}>
                       <span>{p.name}</span>
-                      {p.id === 'ollama' && (
+                      {p.local && !p.mock && (
                         <Chip label="Local" size="small" color="success" sx={{ height: 20 }} />
                       )}
+                      {p.mock && (
+                        <Chip label="Test" size="small" color="warning" sx={{ height: 20 }} />
+                      )}
+                      {p.supportsVision && (
+                        <Chip
+                          label={p.visionByModel ? 'Vision models' : 'Vision'}
+                          size="small"
+                          sx={{ height: 20, background: 'rgba(59, 130, 246, 0.2)', color: '#60a5fa' }}
+                        />
+                      )}
                     </Stack>
                   </MenuItem>
                 ))}
               </Select>
             </FormControl>
 
-            {/* API Key (not needed for Ollama) */}
-            {provider !== 'ollama' && (
+            {/* API Key (only for providers that need one) */}
+            {selectedProvider?.requiresApiKey && (
               <TextField
                 fullWidth
                 label="API Key"
@@ -487,15 +1018,7 @@ function Settings({ open, onClose, settings, onSaveSettings }) {
                 value={apiKey}
                 onChange={(e) => setApiKey(e.target.value)}
                 placeholder={hasExistingKey ? '••••••••••••••••' : 'Enter your API key'}
-                helperText={
-                  provider === 'grok' 
-                    ? 'Get your API key from console.x.ai' 
-                    : provider === 'openai'
-                    ? 'Get your API key from platform.openai.com'
-                    : provider === 'openwebui'
-                    ? 'Get your API key from Open WebUI → Settings → Account'
-                    : 'Enter your API key'
-                }
+                helperText={selectedProvider.apiKeyHelp || 'Enter your API key'}
                 sx={{ mb: 3 }}
                 InputProps={{
                   endAdornment: (
@@ -509,76 +1032,548 @@ function Settings({ open, onClose, settings, onSaveSettings }) {
               />
             )}
 
-            {provider === 'ollama' && (
-              <Alert severity="info" sx={{ mb: 3 }}>
-                <strong>No API key needed!</strong> Ollama can run locally or on another computer in your network.
-              </Alert>
-            )}
-
-            {provider === 'openwebui' && (
+            {selectedProvider?.notice && (
               <Alert severity="info" sx={{ mb: 3 }}>
-                <strong>API key required!</strong> Get your key from Open WebUI → Profile → Settings → Account → API Keys
+                <strong>{selectedProvider.notice.title}</strong> {selectedProvider.notice.text}
               </Alert>
             )}
 
-            {/* Ollama Endpoint (editable for network access) */}
-            {provider === 'ollama' && (
-              <TextField
-                fullWidth
-                label="Ollama Server URL"
-                value={endpoint}
-                onChange={(e) => setEndpoint(e.target.value)}
-                placeholder="http://localhost:11434/api/chat"
-                helperText="Use localhost for local, or IP address for network (e.g., http://192.168.1.100:11434/api/chat)"
-                sx={{ mb: 3 }}
-              />
-            )}
-
-            {/* Open WebUI Endpoint */}
-            {provider === 'openwebui' && (
+            {/* Server URL (editable for local/network and custom providers) */}
+            {selectedProvider?.endpointField && (
               <TextField
                 fullWidth
-                label="Open WebUI Server URL"
+                label={selectedProvider.endpointField.label}
                 value={endpoint}
                 onChange={(e) => setEndpoint(e.target.value)}
-                placeholder="http://10.0.100.244:8080/api/chat/completions"
-                helperText="Your Open WebUI server address (e.g., http://10.0.100.244:8080/api/chat/completions)"
+                placeholder={selectedProvider.endpointField.placeholder}
+                helperText={selectedProvider.endpointField.helperText}
                 sx={{ mb: 3 }}
               />
             )}
 
             <Divider sx={{ my: 2 }} />
 
-            {/* Model Selection */}
+            {/* Model Selection - discovered from the provider where possible */}
+            <ModelPicker
+              provider={provider}
+              providerConfig={selectedProvider}
+              endpoint={endpoint}
+              apiKey={apiKey}
+              value={model}
+              onChange={setModel}
+              helperText={selectedProvider?.modelHelp || 'Enter the model name'}
+            />
+
+            {/* Image input - images, scanned pages and embedded PDF/DOCX images go to vision models */}
+            {selectedProvider?.supportsVision && (
+              <FormControl fullWidth sx={{ mb: 3 }}>
+                <InputLabel>Image Input</InputLabel>
+                <Select value={vision} label="Image Input" onChange={(e) => setVision(e.target.value)}>
+                  <MenuItem value="auto">
+                    Auto-detect ({visionDetected ? 'this model accepts images' : 'this model is text-only'})
+                  </MenuItem>
+                  <MenuItem value="on">Supported - send images to this model</MenuItem>
+                  <MenuItem value="off">Not supported - text only</MenuItem>
+                </Select>
+              </FormControl>
+            )}
+
+            {/* Context window - long documents/threads over this budget are condensed in chunks */}
             <TextField
               fullWidth
-              label="Model"
-              value={model}
-              onChange={(e) => setModel(e.target.value)}
-              helperText={
-                provider === 'grok' 
-                  ? 'e.g., grok-4, grok-3' 
-                  : provider === 'ollama'
-                  ? 'e.g., llama3.2, mistral, codellama, qwen2.5'
-                  : provider === 'openwebui'
-                  ? 'Exact model name from Open WebUI (e.g., llama3.3, mistral:latest, qwen3-vl:2b)'
-                  : 'Enter the model name'
-              }
+              label="Context Window (tokens)"
+              type="number"
+              value={contextWindow}
+              onChange={(e) => setContextWindow(Math.max(0, parseInt(e.target.value, 10) || 0))}
+              inputProps={{ min: 0 }}
+              helperText={contextWindow > 0
+                ? 'For the model above - documents and threads larger than this, or than a fallback provider\'s smaller window, are summarized in chunks'
+                : `0 = auto-detect from model${settings?.effectiveContextWindow && provider === settings?.provider ? ` (currently ${settings.effectiveContextWindow.toLocaleString()} tokens)` : ''}`}
               sx={{ mb: 3 }}
             />
 
-            {/* Custom Endpoint (for custom provider) */}
-            {provider === 'custom' && (
-              <TextField
-                fullWidth
-                label="API Endpoint"
-                value={endpoint}
-                onChange={(e) => setEndpoint(e.target.value)}
-                placeholder="https://api.example.com/v1/chat/completions"
-                helperText="Full URL to the chat completions endpoint"
-                sx={{ mb: 3 }}
+            {/* Streaming Toggle */}
+            <Box
+              sx={{
+                display: 'flex',
+                alignItems: 'center',
+                justifyContent: 'space-between',
+                p: 2,
+                mb: 1,
+                background: '#0f0f12',
+                border: '1px solid #27272a',
+                borderRadius: 1,
+              }}
+            >
+              <Box>
+                <Typography variant="subtitle2" sx={{ fontWeight: 600 }}>
+                  Stream Responses
+                </Typography>
+                <Typography variant="caption" sx={{ color: 'text.secondary' }}>
+                  {streaming
+                    ? 'Text appears word-by-word as the AI writes it'
+                    : 'Result appears only when the AI has finished'}
+                </Typography>
+              </Box>
+              <Switch
+                checked={streaming}
+                onChange={(e) => setStreaming(e.target.checked)}
+                color="primary"
               />
-            )}
+            </Box>
+
+            {/* Response Cache */}
+            <Box
+              sx={{
+                p: 2,
+                mb: 1,
+                background: '#0f0f12',
+                border: '1px solid #27272a',
+                borderRadius: 1,
+              }}
+            >
+              <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between' }}>
+                <Box>
+                  <Typography variant="subtitle2" sx={{ fontWeight: 600 }}>
+                    Cache Responses
+                  </Typography>
+                  <Typography variant="caption" sx={{ color: 'text.secondary' }}>
+                    Re-running the same prompts on the same email reuses the saved answer
+                  </Typography>
+                </Box>
+                <Switch
+                  checked={cacheSettings.enabled}
+                  onChange={(e) => setCacheSettings(prev => ({ ...prev, enabled: e.target.checked }))}
+                  color="primary"
+                />
+              </Box>
+              {cacheSettings.enabled && (
+                <Stack direction="row" spacing={2} sx={{ mt: 2 }}>
+                  <TextField
+                    size="small"
+                    type="number"
+                    label="Keep for (hours)"
+                    value={cacheSettings.ttlHours}
+                    onChange={(e) => setCacheSettings(prev => ({ ...prev, ttlHours: Math.max(1, parseInt(e.target.value, 10) || 1) }))}
+                    inputProps={{ min: 1 }}
+                    sx={{ flex: 1 }}
+                  />
+                  <TextField
+                    size="small"
+                    type="number"
+                    label="Max size (MB)"
+                    value={cacheSettings.maxSizeMb}
+                    onChange={(e) => setCacheSettings(prev => ({ ...prev, maxSizeMb: Math.max(1, parseInt(e.target.value, 10) || 1) }))}
+                    inputProps={{ min: 1 }}
+                    sx={{ flex: 1 }}
+                  />
+                </Stack>
+              )}
+              <Stack direction="row" alignItems="center" justifyContent="space-between" sx={{ mt: 1.5 }}>
+                <Typography variant="caption" sx={{ color: '#71717a' }}>
+                  {cacheStats
+                    ? `${cacheStats.entries} cached response${cacheStats.entries === 1 ? '' : 's'} (${(cacheStats.sizeBytes / 1024 / 1024).toFixed(1)} MB)`
+                    : ''}
+                </Typography>
+                <Button
+                  size="small"
+                  color="error"
+                  startIcon={<DeleteIcon />}
+                  onClick={handleClearCache}
+                  disabled={!cacheStats?.entries}
+                >
+                  Clear Cache
+                </Button>
+              </Stack>
+            </Box>
+
+            {/* Mail Source (Outlook or a folder of mail files) */}
+            <Box
+              sx={{
+                p: 2,
+                mb: 1,
+                background: '#0f0f12',
+                border: '1px solid #27272a',
+                borderRadius: 1,
+              }}
+            >
+              <Typography variant="subtitle2" sx={{ fontWeight: 600 }}>
+                Mail Source
+              </Typography>
+              <Typography variant="caption" sx={{ color: 'text.secondary' }}>
+                Where emails are read from and replies go to. A mail folder works without Outlook:
+                .eml, .mbox and .msg files in its inbox and sent folders, drafts are saved as .eml in drafts.
+              </Typography>
+              <Stack direction="row" spacing={1.5} alignItems="flex-start" sx={{ mt: 2 }}>
+                <FormControl size="small" sx={{ minWidth: 200 }}>
+                  <InputLabel>Read mail from</InputLabel>
+                  <Select
+                    value={mailSettings.backend}
+                    label="Read mail from"
+                    onChange={(e) => setMailSettings(prev => ({ ...prev, backend: e.target.value }))}
+                  >
+                    <MenuItem value="outlook">Classic Outlook (Windows)</MenuItem>
+                    <MenuItem value="file">Mail folder</MenuItem>
+                  </Select>
+                </FormControl>
+                {mailSettings.backend === 'file' && (
+                  <>
+                    <TextField
+                      size="small"
+                      fullWidth
+                      label="Folder"
+                      value={mailSettings.folder}
+                      onChange={(e) => setMailSettings(prev => ({ ...prev, folder: e.target.value }))}
+                      placeholder={settings?.defaultMailFolder || ''}
+                      InputLabelProps={{ shrink: true }}
+                      helperText="Empty = the default folder shown"
+                    />
+                    <Button size="small" variant="outlined" startIcon={<FolderIcon />} onClick={handleChooseMailFolder} sx={{ flexShrink: 0, mt: 0.25 }}>
+                      Choose
+                    </Button>
+                  </>
+                )}
+              </Stack>
+            </Box>
+
+            {/* Mailbox Tools (tool calling) */}
+            <Box
+              sx={{
+                p: 2,
+                mb: 1,
+                background: '#0f0f12',
+                border: '1px solid #27272a',
+                borderRadius: 1,
+              }}
+            >
+              <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between' }}>
+                <Box>
+                  <Typography variant="subtitle2" sx={{ fontWeight: 600 }}>
+                    Mailbox Tools
+                  </Typography>
+                  <Typography variant="caption" sx={{ color: 'text.secondary' }}>
+                    Let the AI search your Inbox, Sent Items and contacts while answering.
+                    The emails it opens are sent to the AI provider.
+                  </Typography>
+                </Box>
+                <Switch
+                  checked={agentSettings.enabled}
+                  onChange={(e) => setAgentSettings(prev => ({ ...prev, enabled: e.target.checked }))}
+                  color="primary"
+                />
+              </Box>
+              {agentSettings.enabled && (
+                <>
+                  <TextField
+                    size="small"
+                    type="number"
+                    label="Max lookups per answer"
+                    value={agentSettings.maxToolCalls}
+                    onChange={(e) => setAgentSettings(prev => ({ ...prev, maxToolCalls: Math.min(20, Math.max(1, parseInt(e.target.value, 10) || 1)) }))}
+                    inputProps={{ min: 1, max: 20 }}
+                    sx={{ mt: 2, width: 200 }}
+                  />
+                  {selectedProvider && !selectedProvider.toolCalling && (
+                    <Typography variant="caption" sx={{ display: 'block', color: '#facc15', mt: 1 }}>
+                      {selectedProvider.name} does not support tool calling here - answers are generated without lookups.
+                    </Typography>
+                  )}
+                </>
+              )}
+            </Box>
+
+            {/* Semantic Search (embeddings index) */}
+            <Box
+              sx={{
+                p: 2,
+                mb: 1,
+                background: '#0f0f12',
+                border: '1px solid #27272a',
+                borderRadius: 1,
+              }}
+            >
+              <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between' }}>
+                <Box>
+                  <Typography variant="subtitle2" sx={{ fontWeight: 600 }}>
+                    Semantic Search
+                  </Typography>
+                  <Typography variant="caption" sx={{ color: 'text.secondary' }}>
+                    Index loaded Inbox and Sent emails with an embedding model so the Inbox tab can search by meaning.
+                    The vectors are stored on this computer.
+                  </Typography>
+                </Box>
+                <Switch
+                  checked={searchSettings.enabled}
+                  onChange={(e) => setSearchSettings(prev => ({ ...prev, enabled: e.target.checked }))}
+                  color="primary"
+                />
+              </Box>
+              {searchSettings.enabled && (
+                <>
+                  <TextField
+                    size="small"
+                    fullWidth
+                    label="Embedding model"
+                    value={searchSettings.embeddingModel}
+                    onChange={(e) => setSearchSettings(prev => ({ ...prev, embeddingModel: e.target.value }))}
+                    placeholder={selectedProvider?.defaultEmbeddingModel || ''}
+                    helperText={selectedProvider?.defaultEmbeddingModel
+                      ? `Leave empty for ${selectedProvider.defaultEmbeddingModel}. Changing the model rebuilds the index.`
+                      : 'Changing the model rebuilds the index.'}
+                    InputLabelProps={{ shrink: true }}
+                    sx={{ mt: 2 }}
+                  />
+                  {selectedProvider && !selectedProvider.embeddings && (
+                    <Typography variant="caption" sx={{ display: 'block', color: '#facc15', mt: 1 }}>
+                      {selectedProvider.name} has no embeddings API - use Ollama, OpenAI or a compatible custom endpoint.
+                    </Typography>
+                  )}
+                </>
+              )}
+              <Stack direction="row" alignItems="center" justifyContent="space-between" sx={{ mt: 1.5 }}>
+                <Typography variant="caption" sx={{ color: '#71717a' }}>
+                  {searchIndexStatus
+                    ? `${searchIndexStatus.count} email${searchIndexStatus.count === 1 ? '' : 's'} indexed (${searchIndexStatus.inbox} inbox, ${searchIndexStatus.sent} sent)`
+                    : ''}
+                </Typography>
+                <Button
+                  size="small"
+                  color="error"
+                  startIcon={<DeleteIcon />}
+                  onClick={handleClearSearchIndex}
+                  disabled={!searchIndexStatus?.count}
+                >
+                  Clear Index
+                </Button>
+              </Stack>
+            </Box>
+
+            {/* AI History (encrypted archive of results) */}
+            <Box
+              sx={{
+                p: 2,
+                mb: 1,
+                background: '#0f0f12',
+                border: '1px solid #27272a',
+                borderRadius: 1,
+              }}
+            >
+              <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between' }}>
+                <Box>
+                  <Typography variant="subtitle2" sx={{ fontWeight: 600 }}>
+                    AI History
+                  </Typography>
+                  <Typography variant="caption" sx={{ color: 'text.secondary' }}>
+                    Keep every AI result with its email, prompts and model so the History tab can find and re-use it.
+                    Stored on this computer, encrypted with your Windows account. The response cache, follow-up
+                    threads and offline queue are separate, unencrypted files.
+                  </Typography>
+                </Box>
+                <Switch
+                  checked={historySettings.enabled}
+                  onChange={(e) => setHistorySettings(prev => ({ ...prev, enabled: e.target.checked }))}
+                  disabled={historyStatus?.encryptionAvailable === false && !historySettings.enabled}
+                  color="primary"
+                />
+              </Box>
+              {historySettings.enabled && (
+                <TextField
+                  size="small"
+                  type="number"
+                  label="Keep for (days)"
+                  value={historySettings.retentionDays}
+                  onChange={(e) => setHistorySettings(prev => ({ ...prev, retentionDays: Math.min(3650, Math.max(1, parseInt(e.target.value, 10) || 1)) }))}
+                  inputProps={{ min: 1, max: 3650 }}
+                  helperText="Older results are deleted automatically"
+                  sx={{ mt: 2, width: 200 }}
+                />
+              )}
+              {historyStatus?.encryptionAvailable === false && (
+                <Typography variant="caption" sx={{ display: 'block', color: '#facc15', mt: 1 }}>
+                  This system offers no encryption for app data, so history can&apos;t be turned on.
+                </Typography>
+              )}
+              <Stack direction="row" alignItems="center" justifyContent="space-between" sx={{ mt: 1.5 }}>
+                <Typography variant="caption" sx={{ color: '#71717a' }}>
+                  {historyStatus
+                    ? `${historyStatus.count} saved result${historyStatus.count === 1 ? '' : 's'}`
+                    : ''}
+                </Typography>
+                <Button
+                  size="small"
+                  color="error"
+                  startIcon={<DeleteIcon />}
+                  onClick={handleClearHistory}
+                  disabled={!historyStatus?.count}
+                >
+                  Clear History
+                </Button>
+              </Stack>
+            </Box>
+
+            {/* PII redaction for cloud providers */}
+            <Box
+              sx={{
+                p: 2,
+                mb: 1,
+                background: '#0f0f12',
+                border: '1px solid #27272a',
+                borderRadius: 1,
+              }}
+            >
+              <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between' }}>
+                <Box>
+                  <Typography variant="subtitle2" sx={{ fontWeight: 600 }}>
+                    Privacy: Redact Personal Data
+                  </Typography>
+                  <Typography variant="caption" sx={{ color: 'text.secondary' }}>
+                    Replace names, contact details and account numbers with placeholders like [PERSON_1] before a
+                    request leaves this computer. The real values are put back into the answer locally.
+                  </Typography>
+                </Box>
+                <Switch
+                  checked={redactionSettings.enabled}
+                  onChange={(e) => setRedactionSettings(prev => ({ ...prev, enabled: e.target.checked }))}
+                  color="primary"
+                />
+              </Box>
+              {redactionSettings.enabled && (
+                <>
+                  <Stack direction="row" sx={{ flexWrap: 'wrap', gap: 1, mt: 2 }}>
+                    {REDACTION_TYPE_LABELS.map(({ key, label }) => {
+                      const active = redactionSettings.types?.[key] !== false;
+                      return (
+                        <Chip
+                          key={key}
+                          label={label}
+                          size="small"
+                          icon={active ? <CheckIcon /> : undefined}
+                          onClick={() => setRedactionSettings(prev => ({ ...prev, types: { ...prev.types, [key]: !active } }))}
+                          sx={{
+                            background: active ? 'rgba(168, 85, 247, 0.3)' : '#27272a',
+                            color: active ? '#c084fc' : '#a1a1aa',
+                            '& .MuiChip-icon': { color: 'inherit' },
+                          }}
+                        />
+                      );
+                    })}
+                  </Stack>
+                  <FormControlLabel
+                    control={(
+                      <Switch
+                        size="small"
+                        checked={redactionSettings.skipLocal !== false}
+                        onChange={(e) => setRedactionSettings(prev => ({ ...prev, skipLocal: e.target.checked }))}
+                      />
+                    )}
+                    label={<Typography variant="body2">Always skip for local providers (Ollama, localhost, LAN)</Typography>}
+                    sx={{ mt: 1.5 }}
+                  />
+                  <Typography variant="caption" sx={{ display: 'block', color: '#facc15', mt: 1 }}>
+                    Detection is pattern based and can miss data written in unusual ways. Use &quot;Preview what&apos;s
+                    sent&quot; on an email to check before relying on it.
+                  </Typography>
+                </>
+              )}
+            </Box>
+
+            <Divider sx={{ my: 2 }} />
+
+            {/* Retries and Fallback Providers */}
+            <Typography variant="subtitle2" sx={{ fontWeight: 600, mb: 0.5 }}>
+              Retries & Fallback Providers
+            </Typography>
+            <Typography variant="caption" sx={{ display: 'block', color: 'text.secondary', mb: 2 }}>
+              Rate limits (429), server errors and connection failures are retried with exponential backoff,
+              honoring Retry-After. If a provider still fails, the next one in the list is tried.
+            </Typography>
+
+            <TextField
+              label="Retries per provider"
+              type="number"
+              size="small"
+              value={maxRetries}
+              onChange={(e) => setMaxRetries(Math.min(5, Math.max(0, parseInt(e.target.value, 10) || 0)))}
+              inputProps={{ min: 0, max: 5 }}
+              sx={{ mb: 2, width: 200 }}
+            />
+
+            {fallbackProviders.map((fallback, index) => {
+              const fallbackConfig = providers.find(p => p.id === fallback.provider);
+              return (
+                <Box
+                  key={index}
+                  sx={{
+                    p: 2,
+                    mb: 1.5,
+                    background: '#0f0f12',
+                    border: '1px solid #27272a',
+                    borderRadius: 1,
+                  }}
+                >
+                  <Stack direction="row" alignItems="center" spacing={1} sx={{ mb: 1.5 }}>
+                    <Chip label={`Fallback ${index + 1}`} size="small" sx={{ height: 22 }} />
+                    <FormControl size="small" sx={{ flex: 1 }}>
+                      <Select
+                        value={fallback.provider}
+                        onChange={(e) => changeFallbackProvider(index, e.target.value)}
+                      >
+                        {providers.map((p) => (
+                          <MenuItem key={p.id} value={p.id}>{p.name}</MenuItem>
+                        ))}
+                      </Select>
+                    </FormControl>
+                    <IconButton size="small" onClick={() => moveFallbackUp(index)} disabled={index === 0}>
+                      <ArrowUpIcon fontSize="small" />
+                    </IconButton>
+                    <IconButton size="small" onClick={() => removeFallback(index)} sx={{ color: '#ef4444' }}>
+                      <DeleteIcon fontSize="small" />
+                    </IconButton>
+                  </Stack>
+                  <Stack direction="row" spacing={1}>
+                    <TextField
+                      label="Model"
+                      size="small"
+                      value={fallback.model}
+                      onChange={(e) => updateFallback(index, { model: e.target.value })}
+                      sx={{ flex: 1 }}
+                    />
+                    {fallbackConfig?.endpointField && (
+                      <TextField
+                        label={fallbackConfig.endpointField.label}
+                        size="small"
+                        value={fallback.endpoint}
+                        onChange={(e) => updateFallback(index, { endpoint: e.target.value })}
+                        placeholder={fallbackConfig.endpointField.placeholder}
+                        sx={{ flex: 2 }}
+                      />
+                    )}
+                  </Stack>
+                  {fallbackConfig?.requiresApiKey && (
+                    <TextField
+                      fullWidth
+                      label="API Key"
+                      type="password"
+                      size="small"
+                      value={fallback.apiKey}
+                      onChange={(e) => updateFallback(index, { apiKey: e.target.value })}
+                      placeholder={fallback.hasApiKey ? '••••••••••••••••' : 'Enter your API key'}
+                      helperText="Keys are stored per provider (shared with the primary provider setting)"
+                      sx={{ mt: 1.5 }}
+                    />
+                  )}
+                </Box>
+              );
+            })}
+
+            <Button
+              size="small"
+              startIcon={<AddIcon />}
+              onClick={addFallback}
+              disabled={fallbackProviders.length >= 5 || providers.length === 0}
+            >
+              Add Fallback Provider
+            </Button>
           </Box>
         )}
 
@@ -719,6 +1714,194 @@ function Settings({ open, onClose, settings, onSaveSettings }) {
           </Box>
         )}
 
+        {/* Usage Tab */}
+        {tabValue === 4 && (
+          <Box sx={{ p: 3 }}>
+            <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', mb: 2 }}>
+              <Typography variant="h6" sx={{ color: 'text.primary' }}>
+                AI Usage & Cost
+              </Typography>
+              <FormControl size="small" sx={{ minWidth: 140 }}>
+                <Select value={usageDays} onChange={(e) => setUsageDays(e.target.value)}>
+                  {USAGE_RANGES.map(range => (
+                    <MenuItem key={range.value} value={range.value}>{range.label}</MenuItem>
+                  ))}
+                </Select>
+              </FormControl>
+            </Box>
+            
+            {/* Totals */}
+            <Stack direction="row" spacing={1} sx={{ mb: 2, flexWrap: 'wrap', gap: 1 }}>
+              <Chip label={`${formatCount(usageSummary?.totals.calls || 0)} calls`} size="small" />
+              <Chip
+                label={`${formatCount(usageSummary?.totals.promptTokens || 0)} in / ${formatCount(usageSummary?.totals.completionTokens || 0)} out tokens`}
+                size="small"
+              />
+              <Chip label={formatCost(usageSummary?.totals.cost || 0)} size="small" color="primary" />
+              {usageSummary?.totals.failedCalls > 0 && (
+                <Chip label={`${formatCount(usageSummary.totals.failedCalls)} failed`} size="small" color="error" variant="outlined" />
+              )}
+            </Stack>
+            {usageSummary?.totals.unpricedCalls > 0 && (
+              <Alert severity="warning" sx={{ mb: 2 }}>
+                {formatCount(usageSummary.totals.unpricedCalls)} calls used a model with no price below, so they are not included in the cost.
+              </Alert>
+            )}
+            
+            {/* Grouped totals */}
+            <Tabs
+              value={usageGroup}
+              onChange={(e, v) => setUsageGroup(v)}
+              sx={{ minHeight: 36, mb: 1, '& .MuiTab-root': { minHeight: 36, py: 0 } }}
+            >
+              {USAGE_GROUPS.map(group => (
+                <Tab key={group.key} value={group.key} label={group.label} />
+              ))}
+            </Tabs>
+            <Box
+              sx={{
+                maxHeight: 220,
+                overflow: 'auto',
+                border: '1px solid #27272a',
+                borderRadius: 1,
+                background: '#0f0f12',
+              }}
+            >
+              {usageRows.length === 0 ? (
+                <Box sx={{ p: 3, textAlign: 'center' }}>
+                  <Typography variant="body2" sx={{ color: '#71717a' }}>
+                    No AI usage recorded for this period
+                  </Typography>
+                </Box>
+              ) : (
+                usageRows.map((row, index) => (
+                  <Stack
+                    key={row.key}
+                    direction="row"
+                    alignItems="center"
+                    spacing={2}
+                    sx={{
+                      p: 1.25,
+                      borderBottom: index < usageRows.length - 1 ? '1px solid #27272a' : 'none',
+                    }}
+                  >
+                    <Typography variant="body2" sx={{ flex: 1, minWidth: 0, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                      {row.label}
+                    </Typography>
+                    <Typography variant="caption" sx={{ color: '#71717a', whiteSpace: 'nowrap' }}>
+                      {formatCount(row.calls)} calls · {formatCount(row.promptTokens + row.completionTokens)} tokens
+                    </Typography>
+                    <Typography variant="body2" sx={{ color: '#f97316', fontWeight: 600, minWidth: 56, textAlign: 'right' }}>
+                      {formatCost(row.cost)}
+                    </Typography>
+                  </Stack>
+                ))
+              )}
+            </Box>
+            
+            <Stack direction="row" spacing={1} sx={{ mt: 1.5 }}>
+              <Button size="small" startIcon={<RefreshIcon />} onClick={loadUsageSummary}>
+                Refresh
+              </Button>
+              <Button
+                size="small"
+                startIcon={<DownloadIcon />}
+                onClick={() => window.electronAPI.exportUsageCsv(usageDays)}
+                disabled={!usageSummary?.totals.calls}
+              >
+                Export CSV
+              </Button>
+              {pendingUsageClear ? (
+                <>
+                  <Button size="small" color="error" onClick={handleClearUsage}>
+                    Delete all usage
+                  </Button>
+                  <Button size="small" onClick={() => setPendingUsageClear(false)} sx={{ color: 'text.secondary' }}>
+                    Keep
+                  </Button>
+                </>
+              ) : (
+                <Button
+                  size="small"
+                  color="error"
+                  startIcon={<DeleteIcon />}
+                  onClick={() => setPendingUsageClear(true)}
+                  disabled={!usageSummary?.totals.calls}
+                >
+                  Clear
+                </Button>
+              )}
+            </Stack>
+            
+            <Divider sx={{ my: 3 }} />
+            
+            {/* Price table */}
+            <Typography variant="subtitle1" sx={{ fontWeight: 600, mb: 0.5 }}>
+              Prices (USD per 1M tokens)
+            </Typography>
+            <Typography variant="caption" sx={{ display: 'block', color: 'text.secondary', mb: 2 }}>
+              Matched against the model name by longest prefix. Local providers are always free.
+            </Typography>
+            {usagePrices.map((price, index) => (
+              <Stack key={index} direction="row" spacing={1} alignItems="center" sx={{ mb: 1 }}>
+                <TextField
+                  size="small"
+                  label="Model prefix"
+                  value={price.model}
+                  onChange={(e) => updatePrice(index, 'model', e.target.value)}
+                  sx={{ flex: 2 }}
+                />
+                <TextField
+                  size="small"
+                  type="number"
+                  label="Input"
+                  value={price.input}
+                  onChange={(e) => updatePrice(index, 'input', e.target.value)}
+                  inputProps={{ min: 0, step: 0.01 }}
+                  sx={{ flex: 1 }}
+                />
+                <TextField
+                  size="small"
+                  type="number"
+                  label="Output"
+                  value={price.output}
+                  onChange={(e) => updatePrice(index, 'output', e.target.value)}
+                  inputProps={{ min: 0, step: 0.01 }}
+                  sx={{ flex: 1 }}
+                />
+                <IconButton
+                  size="small"
+                  onClick={() => {
+                    setUsagePrices(prev => prev.filter((_, i) => i !== index));
+                    setPricesStatus(null);
+                  }}
+                  sx={{ color: '#71717a' }}
+                >
+                  <DeleteIcon fontSize="small" />
+                </IconButton>
+              </Stack>
+            ))}
+            <Stack direction="row" spacing={1} alignItems="center">
+              <Button
+                size="small"
+                startIcon={<AddIcon />}
+                onClick={() => setUsagePrices(prev => [...prev, { model: '', input: 0, output: 0 }])}
+              >
+                Add Price
+              </Button>
+              <Button size="small" variant="outlined" onClick={handleSavePrices}>
+                Save Prices
+              </Button>
+              {pricesStatus === 'saved' && (
+                <Typography variant="caption" sx={{ color: '#22c55e' }}>Prices saved</Typography>
+              )}
+              {pricesStatus && pricesStatus !== 'saved' && (
+                <Typography variant="caption" sx={{ color: 'error.main' }}>{pricesStatus}</Typography>
+              )}
+            </Stack>
+          </Box>
+        )}
+
         {/* Status Messages */}
         {saveStatus === 'success' && (
           <Alert 
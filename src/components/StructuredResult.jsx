@@ -0,0 +1,174 @@
+import React from 'react';
+import {
+  Box,
+  Typography,
+  Button,
+  IconButton,
+  Stack,
+  Chip,
+  Tooltip,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+} from '@mui/material';
+import {
+  ContentCopy as CopyIcon,
+  DataObject as JsonIcon,
+} from '@mui/icons-material';
+
+// Text for the clipboard - nested values are copied as JSON
+function toCopyText(value) {
+  if (value === null || value === undefined) return '';
+  return typeof value === 'object' ? JSON.stringify(value, null, 2) : String(value);
+}
+
+// Short inline display for a table cell or card field
+function toDisplayText(value) {
+  if (value === null || value === undefined || value === '') return '—';
+  if (Array.isArray(value) && value.every(item => item === null || typeof item !== 'object')) {
+    return value.join(', ');
+  }
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Array of objects → table; click a cell to copy it
+function StructuredTable({ rows, onCopy }) {
+  const columns = [...new Set(rows.flatMap(row => Object.keys(row)))];
+
+  return (
+    <Box sx={{ overflowX: 'auto' }}>
+      <Table size="small">
+        <TableHead>
+          <TableRow>
+            {columns.map(column => (
+              <TableCell key={column} sx={{ color: '#a1a1aa', fontWeight: 600, borderColor: '#27272a' }}>
+                {column}
+              </TableCell>
+            ))}
+          </TableRow>
+        </TableHead>
+        <TableBody>
+          {rows.map((row, rowIndex) => (
+            <TableRow key={rowIndex} hover>
+              {columns.map(column => (
+                <Tooltip key={column} title="Click to copy" placement="top">
+                  <TableCell
+                    onClick={() => onCopy(toCopyText(row[column]), column)}
+                    sx={{ color: '#e4e4e7', borderColor: '#27272a', cursor: 'pointer', verticalAlign: 'top' }}
+                  >
+                    {toDisplayText(row[column])}
+                  </TableCell>
+                </Tooltip>
+              ))}
+            </TableRow>
+          ))}
+        </TableBody>
+      </Table>
+    </Box>
+  );
+}
+
+// Object → card of fields, each with its own copy button
+function StructuredCard({ value, onCopy }) {
+  return (
+    <Stack spacing={1}>
+      {Object.entries(value).map(([field, fieldValue]) => (
+        <Box key={field}>
+          <Typography variant="caption" sx={{ color: '#71717a', fontWeight: 600 }}>
+            {field}
+          </Typography>
+          {Array.isArray(fieldValue) && fieldValue.length > 0 && fieldValue.every(isPlainObject) ? (
+            <StructuredTable rows={fieldValue} onCopy={onCopy} />
+          ) : (
+            <Stack direction="row" alignItems="flex-start" spacing={1}>
+              <Typography variant="body2" sx={{ color: '#e4e4e7', flex: 1, whiteSpace: 'pre-wrap', wordBreak: 'break-word' }}>
+                {toDisplayText(fieldValue)}
+              </Typography>
+              <Tooltip title={`Copy ${field}`}>
+                <IconButton size="small" onClick={() => onCopy(toCopyText(fieldValue), field)} sx={{ color: '#71717a', p: 0.25 }}>
+                  <CopyIcon sx={{ fontSize: 16 }} />
+                </IconButton>
+              </Tooltip>
+            </Stack>
+          )}
+        </Box>
+      ))}
+    </Stack>
+  );
+}
+
+// Structured (JSON schema) prompt results: data is the 'data' array from process-with-multi-prompts
+function StructuredResult({ data, showMessage }) {
+  if (!data || data.length === 0) return null;
+
+  const copy = (text, label) => {
+    navigator.clipboard.writeText(text);
+    showMessage?.('success', label ? `Copied ${label}` : 'Copied to clipboard!');
+  };
+
+  return (
+    <Stack spacing={2} sx={{ mb: 2 }}>
+      {data.map(entry => {
+        const { value } = entry;
+        const isTable = Array.isArray(value) && value.length > 0 && value.every(isPlainObject);
+
+        return (
+          <Box
+            key={entry.promptId}
+            sx={{ p: 2, background: 'rgba(15, 15, 18, 0.8)', borderRadius: 2, border: '1px solid #27272a' }}
+          >
+            <Stack direction="row" alignItems="center" spacing={1} mb={1.5}>
+              <Typography variant="subtitle2" sx={{ fontWeight: 700, color: '#e4e4e7', flex: 1 }}>
+                {entry.promptName}
+              </Typography>
+              {!entry.valid && (
+                <Tooltip
+                  title={(entry.errors || []).join('\n')}
+                  componentsProps={{ tooltip: { sx: { whiteSpace: 'pre-line' } } }}
+                >
+                  <Chip
+                    label="schema mismatch"
+                    size="small"
+                    sx={{ background: 'rgba(234, 179, 8, 0.25)', color: '#facc15', fontWeight: 600 }}
+                  />
+                </Tooltip>
+              )}
+              <Button
+                size="small"
+                startIcon={<JsonIcon />}
+                onClick={() => copy(JSON.stringify(value, null, 2), 'JSON')}
+                sx={{ color: 'primary.main' }}
+              >
+                Copy JSON
+              </Button>
+            </Stack>
+            {isTable && <StructuredTable rows={value} onCopy={copy} />}
+            {isPlainObject(value) && <StructuredCard value={value} onCopy={copy} />}
+            {!isTable && !isPlainObject(value) && (
+              <Stack direction="row" alignItems="flex-start" spacing={1}>
+                <Typography variant="body2" sx={{ color: '#e4e4e7', flex: 1, whiteSpace: 'pre-wrap' }}>
+                  {Array.isArray(value)
+                    ? (value.length > 0 ? value.map(toDisplayText).join('\n') : 'No items')
+                    : toDisplayText(value)}
+                </Typography>
+                <Tooltip title="Copy">
+                  <IconButton size="small" onClick={() => copy(toCopyText(value))} sx={{ color: '#71717a', p: 0.25 }}>
+                    <CopyIcon sx={{ fontSize: 16 }} />
+                  </IconButton>
+                </Tooltip>
+              </Stack>
+            )}
+          </Box>
+        );
+      })}
+    </Stack>
+  );
+}
+
+export default StructuredResult;
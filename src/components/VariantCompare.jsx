@@ -0,0 +1,207 @@
+import React, { useState } from 'react';
+import {
+  Box,
+  Typography,
+  Button,
+  IconButton,
+  Stack,
+  Chip,
+  Tooltip,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+} from '@mui/material';
+import {
+  CheckCircle as ChosenIcon,
+  OpenInNew as OpenInOutlookIcon,
+  ContentCopy as CopyIcon,
+  OpenInFull as ExpandIcon,
+  Close as CloseIcon,
+} from '@mui/icons-material';
+
+// LCS tables grow with words(a) x words(b) - skip highlighting for very long drafts
+const MAX_DIFF_CELLS = 1500000;
+
+function countWords(text) {
+  return (text || '').trim().split(/\s+/).filter(Boolean).length;
+}
+
+// Word-level diff: splits text into tokens (whitespace kept) and flags words that are not part of
+// the longest common subsequence with baseText
+function diffWords(baseText, text) {
+  const tokens = (text || '').split(/(\s+)/).filter(token => token.length > 0);
+  const isWord = token => !/^\s+$/.test(token);
+  const a = (baseText || '').split(/\s+/).filter(Boolean);
+  const b = tokens.filter(isWord);
+
+  if (a.length * b.length > MAX_DIFF_CELLS) {
+    return tokens.map(token => ({ text: token, changed: false }));
+  }
+
+  // lengths[i][j] = LCS of a[i..] and b[j..], stored row by row
+  const width = b.length + 1;
+  const lengths = new Uint16Array((a.length + 1) * width);
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i * width + j] = a[i] === b[j]
+        ? lengths[(i + 1) * width + j + 1] + 1
+        : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+    }
+  }
+
+  const common = new Set();
+  for (let i = 0, j = 0; i < a.length && j < b.length;) {
+    if (a[i] === b[j]) {
+      common.add(j);
+      i++;
+      j++;
+    } else if (lengths[(i + 1) * width + j] >= lengths[i * width + j + 1]) {
+      i++;
+    } else {
+      j++;
+    }
+  }
+
+  let wordIndex = 0;
+  return tokens.map((token) => {
+    if (!isWord(token)) return { text: token, changed: false };
+    return { text: token, changed: !common.has(wordIndex++) };
+  });
+}
+
+// Side-by-side drafts from generateVariants. Words that differ from the chosen draft are
+// highlighted; the chosen draft is what the result panel copies and sends to Outlook.
+function VariantCompare({ variants, chosenIndex = 0, onChoose, onOpenInOutlook, showMessage }) {
+  const [expanded, setExpanded] = useState(false);
+
+  if (!variants || variants.length < 2) return null;
+
+  const baseText = variants[chosenIndex]?.content || '';
+
+  const handleCopy = (content) => {
+    navigator.clipboard.writeText(content);
+    showMessage?.('success', 'Copied to clipboard!');
+  };
+
+  const renderColumns = (maxHeight) => (
+    <Box sx={{ display: 'flex', gap: 1.5, overflowX: 'auto', pb: 1 }}>
+      {variants.map((variant, index) => {
+        const isChosen = index === chosenIndex;
+        return (
+          <Box
+            key={index}
+            sx={{
+              flex: '1 0 260px',
+              minWidth: 260,
+              display: 'flex',
+              flexDirection: 'column',
+              p: 1.5,
+              borderRadius: 2,
+              background: 'rgba(15, 15, 18, 0.8)',
+              border: `1px solid ${isChosen ? 'rgba(249, 115, 22, 0.6)' : '#27272a'}`,
+            }}
+          >
+            <Stack direction="row" alignItems="center" spacing={0.5} mb={1}>
+              {isChosen && <ChosenIcon sx={{ fontSize: 16, color: 'primary.main' }} />}
+              <Typography variant="subtitle2" sx={{ fontWeight: 700, flex: 1 }}>
+                {variant.label}
+              </Typography>
+              <Chip
+                label={`${countWords(variant.content)} words`}
+                size="small"
+                sx={{ height: 18, fontSize: '0.65rem', background: '#27272a', color: '#a1a1aa' }}
+              />
+              {variant.temperature !== undefined && (
+                <Tooltip title="Temperature">
+                  <Chip
+                    label={`t ${variant.temperature}`}
+                    size="small"
+                    sx={{ height: 18, fontSize: '0.65rem', background: 'rgba(59, 130, 246, 0.2)', color: '#60a5fa' }}
+                  />
+                </Tooltip>
+              )}
+            </Stack>
+            <Typography
+              component="div"
+              variant="body2"
+              sx={{
+                flex: 1,
+                maxHeight,
+                overflow: 'auto',
+                whiteSpace: 'pre-wrap',
+                wordBreak: 'break-word',
+                color: '#e4e4e7',
+                lineHeight: 1.7,
+              }}
+            >
+              {isChosen
+                ? variant.content
+                : diffWords(baseText, variant.content).map((part, partIndex) => (
+                  part.changed
+                    ? <Box key={partIndex} component="span" sx={{ background: 'rgba(34, 197, 94, 0.25)', borderRadius: 0.5 }}>{part.text}</Box>
+                    : <React.Fragment key={partIndex}>{part.text}</React.Fragment>
+                ))}
+            </Typography>
+            <Stack direction="row" spacing={0.5} mt={1} alignItems="center">
+              <Button
+                size="small"
+                variant={isChosen ? 'contained' : 'outlined'}
+                onClick={() => onChoose(index)}
+                disabled={isChosen}
+                sx={{ flex: 1 }}
+              >
+                {isChosen ? 'Chosen' : 'Use this'}
+              </Button>
+              <Tooltip title="Open as Reply in Outlook">
+                <IconButton size="small" onClick={() => onOpenInOutlook(variant.content)} sx={{ color: '#22c55e' }}>
+                  <OpenInOutlookIcon fontSize="small" />
+                </IconButton>
+              </Tooltip>
+              <Tooltip title="Copy to clipboard">
+                <IconButton size="small" onClick={() => handleCopy(variant.content)} sx={{ color: '#71717a' }}>
+                  <CopyIcon fontSize="small" />
+                </IconButton>
+              </Tooltip>
+            </Stack>
+          </Box>
+        );
+      })}
+    </Box>
+  );
+
+  return (
+    <Box sx={{ mb: 2 }}>
+      <Stack direction="row" alignItems="center" justifyContent="space-between" mb={1}>
+        <Typography variant="caption" sx={{ color: '#a1a1aa' }}>
+          {variants.length} drafts - highlighted words differ from the chosen one
+        </Typography>
+        <Tooltip title="Compare full screen">
+          <IconButton size="small" onClick={() => setExpanded(true)} sx={{ color: 'text.secondary' }}>
+            <ExpandIcon fontSize="small" />
+          </IconButton>
+        </Tooltip>
+      </Stack>
+      {renderColumns(260)}
+
+      <Dialog
+        open={expanded}
+        onClose={() => setExpanded(false)}
+        fullWidth
+        maxWidth="xl"
+        PaperProps={{ sx: { background: '#18181b', border: '1px solid #27272a' } }}
+      >
+        <DialogTitle sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between' }}>
+          Compare drafts
+          <IconButton onClick={() => setExpanded(false)} size="small">
+            <CloseIcon />
+          </IconButton>
+        </DialogTitle>
+        <DialogContent>
+          {renderColumns('70vh')}
+        </DialogContent>
+      </Dialog>
+    </Box>
+  );
+}
+
+export default VariantCompare;
@@ -0,0 +1,84 @@
+// Parsers of the mail folder backend, run on the sample mailbox (demo-mail/, written by
+// scripts/make-demo-mail.js)
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { decodeMimeWords, encodeMimeHeader, parseMimeMessage, splitMbox, parseMsg } = require('../mail-formats');
+
+const DEMO_MAIL = path.join(__dirname, '..', 'demo-mail');
+const readLatin1 = file => fs.readFileSync(path.join(DEMO_MAIL, file), 'latin1');
+
+test('multipart .eml: quoted-printable body and base64 attachment', () => {
+  const message = parseMimeMessage(readLatin1('inbox/contract-renewal.eml'));
+
+  assert.equal(message.email.subject, 'Contract renewal - terms for review');
+  assert.equal(message.email.senderName, 'Dana Whitfield');
+  assert.equal(message.email.senderEmail, 'dana.whitfield@example.com');
+  assert.equal(message.messageId, '<renewal-terms@example.com>');
+  // Soft line breaks joined, UTF-8 bytes decoded
+  assert.match(message.email.body, /our procurement team\ndrafted/);
+  assert.match(message.email.body, /J\u00fcrgen Maa\u00df, will join/);
+  assert.doesNotMatch(message.email.body, /Renewal terms - draft/);
+  assert.ok(!Number.isNaN(Date.parse(message.email.receivedTime)));
+
+  assert.deepEqual(message.attachments.map(attachment => attachment.fileName), ['renewal-terms.txt']);
+  assert.match(message.attachments[0].read().toString('utf8'), /^Renewal terms - draft for discussion\n/);
+});
+
+test('encoded words in headers', () => {
+  const message = parseMimeMessage(readLatin1('inbox/contract-renewal.eml'));
+  assert.equal(message.email.cc, 'procurement@example.com, J\u00fcrgen Maa\u00df <juergen.maass@example.com>');
+
+  // Adjacent encoded words are joined without the space between them
+  assert.equal(decodeMimeWords('=?utf-8?B?SsO8cmdlbg==?= =?utf-8?Q?_Maa=C3=9F?= <j@example.com>'), 'J\u00fcrgen Maa\u00df <j@example.com>');
+  assert.equal(decodeMimeWords('=?iso-8859-1?Q?caf=E9?='), 'caf\u00e9');
+
+  const header = encodeMimeHeader('"Maa\u00df, J\u00fcrgen" <j@example.com>, dana@example.com');
+  assert.match(header, /^[\x20-\x7e]+$/);
+  assert.equal(decodeMimeWords(header), '"Maa\u00df, J\u00fcrgen" <j@example.com>, dana@example.com');
+});
+
+test('mbox: one message per "From " line, quoted ">From " restored', () => {
+  const messages = splitMbox(readLatin1('sent/dana-whitfield.mbox')).map(parseMimeMessage);
+
+  assert.deepEqual(messages.map(message => message.email.subject), ['Re: Volume pricing for 500 seats?', 'Agenda for Monday']);
+  assert.equal(messages[0].email.conversationId, '<pricing-question@example.com>');
+  assert.match(messages[1].email.body, /^From our side, Sam/m);
+  assert.doesNotMatch(messages[1].email.body, /^>From/m);
+  assert.ok(Date.parse(messages[0].email.receivedTime) < Date.parse(messages[1].email.receivedTime));
+});
+
+test('mbox: body lines starting with "From " do not split a message', () => {
+  const raw = 'From a@example.com Mon Oct 19 10:00:00 2026\nSubject: One\n\nHello\n>From here on\n\n'
+    + 'From b@example.com Mon Oct 19 11:00:00 2026\nSubject: Two\n\nBye\n';
+  const messages = splitMbox(raw).map(parseMimeMessage);
+
+  assert.deepEqual(messages.map(message => message.email.subject), ['One', 'Two']);
+  assert.equal(messages[0].email.body.trim(), 'Hello\nFrom here on');
+});
+
+test('.msg: properties, recipients, delivery time and attachment', () => {
+  const message = parseMsg(fs.readFileSync(path.join(DEMO_MAIL, 'inbox/q1-figures.msg')));
+
+  assert.equal(message.email.subject, 'Q1 figures for the board deck');
+  assert.equal(message.email.senderName, 'Priya Raman');
+  assert.equal(message.email.senderEmail, 'priya.raman@example.org');
+  assert.equal(message.email.to, 'Alex Morgan <alex@example.org>');
+  assert.equal(message.email.cc, 'Sam Lee <sam.lee@example.org>');
+  assert.equal(message.email.importance, 'high');
+  assert.match(message.email.body, /^Hi Alex,\n/);
+  // PR_MESSAGE_DELIVERY_TIME, the newest email of the sample inbox
+  assert.match(message.email.receivedTime, /^\d{4}-\d\d-\d\dT\d\d:\d\d:\d\d\.000Z$/);
+  const eml = parseMimeMessage(readLatin1('inbox/contract-renewal.eml'));
+  assert.ok(Date.parse(message.email.receivedTime) > Date.parse(eml.email.receivedTime));
+
+  assert.deepEqual(message.attachments.map(attachment => attachment.fileName), ['q1-figures.csv']);
+  const csv = message.attachments[0].read().toString('utf8');
+  assert.match(csv, /^month,new_seats,renewed_seats,churned_seats,revenue_eur\n/);
+  assert.equal(csv.trim().split('\n').length, 4);
+});
+
+test('.msg: other files are refused', () => {
+  assert.throws(() => parseMsg(Buffer.from('From: a@example.com\n\nHello')), /Not an Outlook \.msg file/);
+});